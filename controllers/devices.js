@@ -0,0 +1,17 @@
+"use strict";
+
+var tres = require('../helpers/tres');
+var model = require('../models/device');
+
+exports.route = function(app) {
+	app.get('/devices', list_devices);
+};
+
+/**
+ * list the devices the current user has synced from (see models/device.js),
+ * most recently seen first
+ */
+var list_devices = function(req, res) {
+	var user_id = req.user.id;
+	tres.wrap(res, model.get_by_user_id(user_id));
+};
@@ -0,0 +1,50 @@
+"use strict";
+
+var tres = require('../helpers/tres');
+var model = require('../models/revision');
+var analytics = require('../models/analytics');
+
+exports.route = function(app) {
+	app.get('/notes/:item_id/revisions', list_revisions.bind(null, 'note'));
+	app.get('/notes/:item_id/revisions/:revision_id', get_revision.bind(null, 'note'));
+	app.post('/notes/:item_id/revisions/:revision_id/restore', restore_revision.bind(null, 'note'));
+	app.get('/boards/:item_id/revisions', list_revisions.bind(null, 'board'));
+	app.get('/boards/:item_id/revisions/:revision_id', get_revision.bind(null, 'board'));
+	app.post('/boards/:item_id/revisions/:revision_id/restore', restore_revision.bind(null, 'board'));
+};
+
+/**
+ * list an item's saved revisions (newest first), minus their data
+ */
+var list_revisions = function(type, req, res) {
+	var user_id = req.user.id;
+	var item_id = req.params.item_id;
+	tres.wrap(res, model.list(user_id, type, item_id));
+};
+
+/**
+ * grab one revision of an item, including its (encrypted) data
+ */
+var get_revision = function(type, req, res) {
+	var user_id = req.user.id;
+	var item_id = req.params.item_id;
+	var revision_id = req.params.revision_id;
+	tres.wrap(res, model.get(user_id, type, item_id, revision_id));
+};
+
+/**
+ * restore an item to the given revision. this is a regular edit as far as
+ * everyone else is concerned: all the space's members get an `edit` sync record
+ * for the item. returns the item's new data (with `sync_ids`).
+ */
+var restore_revision = function(type, req, res) {
+	var user_id = req.user.id;
+	var item_id = req.params.item_id;
+	var revision_id = req.params.revision_id;
+	var client = req.header('X-Turtl-Client');
+	var promise = model.restore(user_id, type, item_id, revision_id)
+		.tap(function() {
+			analytics.track(user_id, type+'.restore-revision', client);
+		});
+	tres.wrap(res, promise);
+};
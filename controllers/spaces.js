@@ -2,10 +2,12 @@
 
 var space_model = require('../models/space');
 var invite_model = require('../models/invite');
+var sync_model = require('../models/sync');
 var tres = require('../helpers/tres');
 var analytics = require('../models/analytics');
 
 exports.route = function(app) {
+	app.get('/spaces/:space_id/sync/full', space_full_sync);
 	app.put('/spaces/:space_id/members/:user_id', update_member);
 	app.delete('/spaces/:space_id/members/:user_id', delete_member);
 	app.put('/spaces/:space_id/owner/:new_user_id', set_owner);
@@ -15,6 +17,17 @@ exports.route = function(app) {
 	app.delete('/spaces/:space_id/invites/:invite_id', delete_invite);
 };
 
+/**
+ * Grab everything in a space (the space, its boards, notes, and files) as sync
+ * records, in the same format as GET /sync/full. Good for fixing up one space
+ * without having to wipe and reload the entire profile.
+ */
+var space_full_sync = function(req, res) {
+	var user_id = req.user.id;
+	var space_id = req.params.space_id;
+	tres.wrap(res, sync_model.space_full_sync(user_id, space_id));
+};
+
 var update_member = function(req, res) {
 	var user_id = req.user.id;
 	var space_id = req.params.space_id;
@@ -1,12 +1,49 @@
+var Promise = require('bluebird');
 var tres = require('../helpers/tres');
+var config = require('../helpers/config');
+var error = require('../helpers/error');
+var log = require('../helpers/log');
 var model = require('../models/sync');
+var device_model = require('../models/device');
+
+// how often (ms) we send a comment down an open /sync/stream so proxies don't
+// decide the connection is dead
+var STREAM_HEARTBEAT = 15000;
+// how long (seconds) an ndjson full sync waits on a client that isn't reading
+// before giving up. the notes cursor holds a db connection (and transaction)
+// the whole time, so this can't be forever.
+var DEFAULT_WRITE_TIMEOUT_SECONDS = 30;
 
 exports.route = function(app) {
+	app.use('/sync', track_device);
 	app.get('/sync', partial_sync);
 	app.get('/sync/full', full_sync);
+	app.get('/sync/stream', stream_sync);
+	app.get('/sync/digest', digest);
+	app.get('/sync/items', get_items);
 	app.post('/sync', bulk_sync);
 };
 
+/**
+ * If the client tells us which device it is (X-Turtl-Device), remember that we
+ * saw it, along with the sync_id it's syncing from (if any). This never holds
+ * up (or fails) the actual sync.
+ */
+var track_device = function(req, res, next) {
+	var device_id = req.header('X-Turtl-Device');
+	if(device_id && req.user) {
+		var sync_id = parseInt(req.header('Last-Event-ID') || req.query.sync_id);
+		device_model.touch(req.user.id, device_id, {
+			client: req.header('X-Turtl-Client'),
+			ip: req.ip,
+			sync_id: isNaN(sync_id) ? null : sync_id,
+		}).catch(function(err) {
+			log.error('sync.track_device() -- (uid '+req.user.id+'): ', err);
+		});
+	}
+	next();
+};
+
 /**
  * Given the current user and a sync-id, spits out all data that has changes in
  * the user's profile since that sync id. Used by various clients to stay in
@@ -24,20 +61,85 @@ exports.route = function(app) {
  * 
  * So in the cases where we're fabricating sync items, we have to be cautious
  * to add/remove the correct data or the app is going to have a bad time.
+ *
+ * Unless `immediate=1` (or `type` is anything but `poll`) is passed, this is a
+ * long poll: if there's nothing new, we wait (up to
+ * config.sync.poll_timeout_seconds) for something to show up before
+ * answering. If the client disconnects in the meantime, we stop waiting.
+ *
+ * Results are paged: the client can pass `limit` to get smaller pages, and if
+ * the response comes back with `more: true` it should immediately call again
+ * with the returned sync_id to grab the next page.
+ *
+ * If the given sync_id is older than what we keep around in the sync log (see
+ * tools/compact-sync.js), we return a 410 with error.extra.code set to
+ * `sync_id_too_old`, which means the client needs to do a full sync.
+ *
+ * The client should also do a full sync (after wiping its local data) if it
+ * gets a `user` record with the action `resync`. We send these out when a
+ * profile's data has been fixed on our end (see tools/resync.js).
  */
 var partial_sync = function(req, res) {
 	const user_id = req.user.id;
 	const sync_id = parseInt(req.query.sync_id);
 	const type = req.query.type;
+	const limit = req.query.limit;
 	var immediate = req.query.immediate == '1';
 	if(type) immediate = (type != 'poll');
-	return model.sync_from(user_id, sync_id, !immediate)
-		.spread(function(sync_records, latest_sync_id, sync_meta) {
-			tres.send(res, {records: sync_records, sync_id: latest_sync_id, extra: sync_meta});
+	return model.sync_from(user_id, sync_id, !immediate, {limit: limit, abort_on: req})
+		.spread(function(sync_records, latest_sync_id, sync_meta, more) {
+			tres.send(res, {records: sync_records, sync_id: latest_sync_id, extra: sync_meta, more: more});
+		})
+		.catch(error.promise_catch('aborted'), function() {
+			// the client hung up, so there's nobody to answer
 		})
 		.catch(tres.err.bind(tres, res));
 }
 
+/**
+ * Push-based alternative to polling GET /sync. Opens a Server-Sent Events
+ * stream and sends a `sync` event (same payload as GET /sync) any time new sync
+ * records are created for the current user. The client starts the stream with
+ * `sync_id` (or the standard Last-Event-ID header when reconnecting), and each
+ * event's id is the latest sync_id so reconnects pick up right where they left
+ * off.
+ */
+var stream_sync = function(req, res) {
+	const user_id = req.user.id;
+	const last_event_id = req.header('Last-Event-ID');
+	const sync_id = parseInt(last_event_id || req.query.sync_id);
+	if(isNaN(sync_id)) {
+		return tres.err(res, error.bad_request('missing `sync_id` var'));
+	}
+	var heartbeat = null;
+	var stop = null;
+	var write_event = function(event, id, data) {
+		var lines = [];
+		if(id) lines.push('id: '+id);
+		lines.push('event: '+event);
+		lines.push('data: '+JSON.stringify(data));
+		res.write(lines.join('\n')+'\n\n');
+	};
+	var close = function() {
+		clearInterval(heartbeat);
+		stop && stop();
+	};
+	res.status(200);
+	res.setHeader('Content-Type', 'text/event-stream');
+	res.setHeader('Cache-Control', 'no-cache');
+	res.setHeader('Connection', 'keep-alive');
+	res.write('\n');
+	stop = model.stream(user_id, sync_id, function(sync_records, latest_sync_id, sync_meta) {
+		write_event('sync', latest_sync_id, {records: sync_records, sync_id: latest_sync_id, extra: sync_meta});
+	}, function(err) {
+		write_event('error', null, {error: {message: err.message}});
+		close();
+		res.end();
+	});
+	heartbeat = setInterval(function() { res.write(': ping\n\n'); }, STREAM_HEARTBEAT);
+	req.on('close', close);
+};
+
 /**
  * Called by the client if a user has no local profile data. Returns the profile
  * data in the same format as a sync call, allowing the client to process it the
@@ -48,12 +150,100 @@ var partial_sync = function(req, res) {
  * all the needed data for the profile and returning it as sync 'add' items. Any
  * time the app needs a fresh set of *correct* data it can wipe its local data
  * and grab this.
+ *
+ * Large profiles can pass `format=ndjson` to get the data streamed back as
+ * newline-delimited JSON: one sync record per line, followed by a final line
+ * of {"sync_id": ..., "extra": ...}. If something goes wrong partway through,
+ * the last line is {"error": {...}} instead, and the client should throw out
+ * what it got and try again. Clients that stop reading for longer than
+ * sync.stream_write_timeout_seconds get disconnected.
  */
 var full_sync = function(req, res) {
 	var user_id = req.user.id;
+	if(req.query.format == 'ndjson') return full_sync_ndjson(req, res);
 	return tres.wrap(res, model.full_sync(user_id));
 };
 
+var full_sync_ndjson = function(req, res) {
+	var user_id = req.user.id;
+	var closed = false;
+	var drained = null;
+	req.on('close', function() {
+		closed = true;
+		// don't leave a write hanging on a drain that will never come
+		drained && drained();
+	});
+	var write_timeout = parseInt((config.sync || {}).stream_write_timeout_seconds);
+	if(isNaN(write_timeout) || write_timeout <= 0) write_timeout = DEFAULT_WRITE_TIMEOUT_SECONDS;
+	var write_line = function(data) {
+		if(closed) return Promise.reject(new Error('client closed the connection'));
+		if(res.write(JSON.stringify(data)+'\n')) return Promise.resolve();
+		// wait for the socket to catch up before we load anything else
+		return new Promise(function(resolve) {
+				drained = function() {
+					res.removeListener('drain', drained);
+					drained = null;
+					resolve();
+				};
+				res.on('drain', drained);
+			})
+			.timeout(write_timeout * 1000)
+			.catch(Promise.TimeoutError, function(err) {
+				// the client is stalled. hang up on them, which also fails the
+				// full sync (and lets go of its db connection)
+				res.removeListener('drain', drained);
+				drained = null;
+				closed = true;
+				res.destroy();
+				throw new Error('client stopped reading');
+			});
+	};
+	res.status(200);
+	res.setHeader('Content-Type', 'application/x-ndjson');
+	return model.full_sync_stream(user_id, write_line)
+		.then(function(meta) {
+			res.end(JSON.stringify(meta)+'\n');
+		})
+		.catch(function(err) {
+			log.error('sync.full_sync_ndjson() -- (uid '+user_id+'): ', err);
+			if(closed) return;
+			res.end(JSON.stringify({error: {message: err.message}})+'\n');
+		});
+};
+
+/**
+ * Returns a digest (a hash tree of item ids/versions, per space and per item
+ * type) of the user's profile, which the client can check against its local
+ * data to find items that have drifted without doing a full sync. See
+ * models/sync.js:digest() for the format.
+ *
+ * Pass `space_id` to only get one space. Passing `type` and `bucket` along
+ * with `space_id` also returns the ids/versions of the items in that bucket,
+ * which can then be grabbed via GET /sync/items.
+ */
+var digest = function(req, res) {
+	var user_id = req.user.id;
+	var options = {
+		space_id: req.query.space_id,
+		type: req.query.type,
+		bucket: req.query.bucket,
+	};
+	return tres.wrap(res, model.digest(user_id, options));
+};
+
+/**
+ * Grab specific items (`ids`, comma-separated) of the given `type` as sync
+ * records. Items that are gone come back as deletes.
+ */
+var get_items = function(req, res) {
+	var user_id = req.user.id;
+	var type = req.query.type;
+	var ids = (req.query.ids || '').split(',').filter(function(id) { return !!id; });
+	if(!type) return tres.err(res, error.bad_request('missing `type` var'));
+	return tres.wrap(res, model.get_items(user_id, type, ids)
+		.then(function(records) { return {records: records}; }));
+};
+
 /**
  * Bulk sync API. Accepts any number of sync items and applies the updates to
  * the profile of the authed user.
@@ -65,12 +255,29 @@ var full_sync = function(req, res) {
  * before the board itself). Catching a failure in the sequence allows the
  * client to try again whilst still preserving the original order of the sync
  * items.
+ *
+ * Pass `atomic=1` to run the items in one transaction: if any item fails, none
+ * of them are applied (the failure comes back in `failures`, and everything
+ * else in `blocked`). Use this for multi-step changes that don't make sense
+ * half-done.
+ *
+ * Items may also carry an `idempotency_key`. Re-sending an item with a key
+ * we've already processed returns the original result without applying the
+ * item again, so it's safe to retry a request whose response got lost.
+ *
+ * Pass `dry_run=1` to check a batch without applying it: the items are run as
+ * usual (validation, permissions, and all) but everything is rolled back at the
+ * end. The response looks the same as a real sync, with `dry_run: true` added.
  */
 var bulk_sync = function(req, res) {
 	var user_id = req.user.id;
 	var client = req.header('X-Turtl-Client');
 	var sync_records = req.body;
-	return tres.wrap(res, model.bulk_sync(user_id, sync_records, client));
+	var options = {
+		atomic: req.query.atomic == '1',
+		dry_run: req.query.dry_run == '1',
+	};
+	return tres.wrap(res, model.bulk_sync(user_id, sync_records, client, options));
 };
 
 
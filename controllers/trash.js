@@ -0,0 +1,34 @@
+"use strict";
+
+var tres = require('../helpers/tres');
+var model = require('../models/trash');
+var analytics = require('../models/analytics');
+
+exports.route = function(app) {
+	app.get('/trash', list_trash);
+	app.post('/trash/:trash_id/restore', restore);
+};
+
+/**
+ * list the deleted notes/boards/spaces the current user can restore
+ */
+var list_trash = function(req, res) {
+	var user_id = req.user.id;
+	tres.wrap(res, model.list(user_id));
+};
+
+/**
+ * restore an item from the trash. everyone in the item's space gets the sync
+ * records needed to add it back (`add` for notes/boards, `share` for spaces).
+ * returns the restored item's data (with `sync_ids`).
+ */
+var restore = function(req, res) {
+	var user_id = req.user.id;
+	var trash_id = req.params.trash_id;
+	var client = req.header('X-Turtl-Client');
+	var promise = model.restore(user_id, trash_id)
+		.tap(function() {
+			analytics.track(user_id, 'trash.restore', client);
+		});
+	tres.wrap(res, promise);
+};
@@ -4,12 +4,23 @@ var config = require('../helpers/config');
 var log = require('../helpers/log');
 var analytics = require('../models/analytics');
 var profile_model = require('../models/profile');
+var session_model = require('../models/session');
+var two_factor_model = require('../models/two_factor');
+var login_throttle = require('../models/login_throttle');
+var error = require('../helpers/error');
 
 exports.route = function(app) {
 	app.post('/users', join);
 	app.get('/users/:user_id', get_by_id);
 	app.get('/users/email/:email', get_by_email);
 	app.post('/auth', authenticate);
+	app.get('/auth/sessions', list_sessions);
+	app.delete('/auth/sessions', logout_all);
+	app.delete('/auth/sessions/:session_id', logout);
+	app.post('/auth/totp', start_totp);
+	app.post('/auth/totp/confirm', confirm_totp);
+	app.delete('/auth/totp', disable_totp);
+	app.post('/auth/totp/recovery-codes', regenerate_recovery_codes);
 	app.get('/users/confirm/:email/:token', confirm_user);
 	app.delete('/users/:user_id', delete_account);
 	app.post('/users/confirmation/resend', resend_confirmation);
@@ -17,6 +28,7 @@ exports.route = function(app) {
 	app.get('/users/:user_id/profile-size', get_profile_size);
 	app.get('/users/delete/:email/:token', delete_by_email);
 	app.post('/users/delete/:email', start_delete_by_email);
+	app.get('/users/unlock/:email/:token', unlock_by_email);
 };
 
 /**
@@ -52,14 +64,102 @@ var get_by_email = function(req, res) {
 };
 
 /**
- * a basic endpoint specifically for authentication
+ * a basic endpoint specifically for authentication. returns the user's id.
+ *
+ * pass `session=1` to also start a session, in which case we return
+ * {user_id, session} where `session.token` can be used in place of Basic auth
+ * (`Authorization: Bearer <token>`) until it expires or is logged out. only
+ * Basic auth can start a session: letting a session start another would mean
+ * one (maybe stolen) token could keep itself going forever.
+ *
+ * users with two-factor auth on need to send a one-time code (X-Turtl-OTP)
+ * along with their Basic auth. since each code only works once, they need to
+ * grab a session here: their Basic auth doesn't work anywhere else.
  */
 var authenticate = function(req, res) {
-	var promise = model.update_last_login(req.user.id)
-		.then(function() { return req.user.id; });
+	var user_id = req.user.id;
+	if(req.query.session == '1' && req.user.session_id) {
+		return tres.err(res, error.forbidden('log in with your password to start a session', {code: 'session_requires_login'}));
+	}
+	var promise = model.update_last_login(user_id)
+		.then(function() {
+			if(req.query.session != '1') return user_id;
+			var info = {
+				client: req.header('X-Turtl-Client'),
+				device_id: req.header('X-Turtl-Device'),
+				ip: req.ip,
+			};
+			return session_model.create(user_id, info)
+				.then(function(session) {
+					return {user_id: user_id, session: session};
+				});
+		});
 	tres.wrap(res, promise);
 };
 
+/**
+ * list the current user's active sessions (without their tokens)
+ */
+var list_sessions = function(req, res) {
+	tres.wrap(res, session_model.get_by_user_id(req.user.id));
+};
+
+/**
+ * log out of one session. `current` logs out of the session making the
+ * request.
+ */
+var logout = function(req, res) {
+	var session_id = req.params.session_id;
+	if(session_id == 'current') {
+		session_id = req.user.session_id;
+		if(!session_id) return tres.err(res, error.bad_request('you aren\'t using a session'));
+	}
+	tres.wrap(res, session_model.delete(req.user.id, session_id));
+};
+
+/**
+ * log out of every session the current user has
+ */
+var logout_all = function(req, res) {
+	tres.wrap(res, session_model.delete_all(req.user.id));
+};
+
+/**
+ * start turning on two-factor auth. returns {secret, uri} for the user's
+ * authenticator app. nothing changes until they confirm with a code.
+ */
+var start_totp = function(req, res) {
+	tres.wrap(res, two_factor_model.start(req.user.id));
+};
+
+/**
+ * turn on two-factor auth by proving the authenticator app works (X-Turtl-OTP).
+ * returns {recovery_codes}, which we never show again. the user's other
+ * sessions are logged out.
+ */
+var confirm_totp = function(req, res) {
+	var code = req.header('X-Turtl-OTP');
+	tres.wrap(res, two_factor_model.confirm(req.user.id, code, req.user.session_id));
+};
+
+/**
+ * turn off two-factor auth. needs a one-time code or recovery code
+ * (X-Turtl-OTP).
+ */
+var disable_totp = function(req, res) {
+	var code = req.header('X-Turtl-OTP');
+	tres.wrap(res, two_factor_model.disable(req.user.id, code, req.ip));
+};
+
+/**
+ * replace the user's recovery codes with a fresh set. needs a one-time code or
+ * recovery code (X-Turtl-OTP). returns {recovery_codes}.
+ */
+var regenerate_recovery_codes = function(req, res) {
+	var code = req.header('X-Turtl-OTP');
+	tres.wrap(res, two_factor_model.regenerate_recovery_codes(req.user.id, code, req.ip));
+};
+
 var confirm_user = function(req, res) {
 	var email = req.params.email;
 	var token = req.params.token;
@@ -139,3 +239,25 @@ const start_delete_by_email = function(req, res) {
 	tres.wrap(res, model.start_delete_by_email(email));
 };
 
+/**
+ * the link from the "your account was locked" email. clears the failed logins
+ * against the account so its owner can get back in.
+ */
+const unlock_by_email = function(req, res) {
+	const email = req.params.email;
+	const token = req.params.token;
+	const raw = req.query.raw || false;
+	const promise = login_throttle.unlock_by_email(email, token);
+	if(raw) {
+		return tres.wrap(res, promise);
+	}
+	promise
+		.then(function() {
+			tres.redirect(res, config.app.www_url+'/users/unlock/success/', {unlocked: true});
+		})
+		.catch(function(err) {
+			if(!err.app_error) log.error('unlock user error: ', err);
+			tres.redirect(res, config.app.www_url+'/users/unlock/error/?err='+encodeURIComponent(err.message), {unlocked: false, error: err.message});
+		});
+};
+
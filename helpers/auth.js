@@ -1,6 +1,7 @@
 "use strict";
 
 var user_model = require('../models/user');
+var session_model = require('../models/session');
 var tres = require('./tres');
 
 function add_public_route(routespec) {
@@ -17,6 +18,7 @@ var public_routes = [];
 	'get /health/[a-z0-9]+',
 	'get /users/delete/[^/]+/[a-f0-9]+',
 	'post /users/delete/[^/]+',
+	'get /users/unlock/[^/]+/[a-f0-9]+',
 ].map(add_public_route);
 
 exports.verify = function(req, res, next) {
@@ -28,7 +30,17 @@ exports.verify = function(req, res, next) {
 		var pub = public_routes[i];
 		if(pub.test(method_url)) return next();
 	}
-	return user_model.check_auth(auth)
+	// session tokens are cheap to check, so we prefer them. Basic auth sticks
+	// around for older clients (and for getting a session in the first place)
+	var bearer = (auth || '').match(/^Bearer +(.+)$/);
+	var promise = bearer ?
+		session_model.check_token(bearer[1]) :
+		user_model.check_auth(auth, {
+			otp: req.headers['x-turtl-otp'],
+			ip: req.ip,
+			login: req.method == 'POST' && req.path == '/auth',
+		});
+	return promise
 		.then(function(user) {
 			req.user = user;
 			next();
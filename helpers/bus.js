@@ -0,0 +1,80 @@
+"use strict";
+
+/**
+ * A tiny in-process notification bus, keyed by user id. The sync system
+ * publishes here whenever new sync records are written for a set of users, and
+ * anyone waiting on changes for a user (say, a /sync/stream connection) can
+ * subscribe and get woken up right away instead of re-querying the db on a
+ * timer.
+ */
+
+const EventEmitter = require('events');
+const Promise = require('bluebird');
+
+var emitter = new EventEmitter();
+// we get one listener per connected client, so there's no sane max here
+emitter.setMaxListeners(0);
+
+var channel = function(user_id) {
+	return 'user:'+user_id;
+};
+
+/**
+ * let the given users know something happened. `data` is passed verbatim to
+ * each subscriber.
+ */
+exports.publish = function(user_ids, data) {
+	user_ids.forEach(function(user_id) {
+		emitter.emit(channel(user_id), data);
+	});
+};
+
+/**
+ * listen for notifications for a user. returns a function that, when called,
+ * removes the subscription. don't forget to call it.
+ */
+exports.subscribe = function(user_id, fn) {
+	var chan = channel(user_id);
+	emitter.on(chan, fn);
+	return function() {
+		emitter.removeListener(chan, fn);
+	};
+};
+
+/**
+ * poke every subscriber we have, regardless of user. useful when we know we
+ * may have missed notifications and want everyone to re-check.
+ */
+exports.publish_all = function(data) {
+	emitter.eventNames().forEach(function(chan) {
+		emitter.emit(chan, data);
+	});
+};
+
+/**
+ * wait for the next notification for a user, or `timeout` ms, whichever comes
+ * first. returns an object with a `promise` (resolves true if we were notified,
+ * false if we timed out) and a `cancel` function that stops waiting without
+ * ever resolving the promise.
+ */
+exports.wait = function(user_id, timeout) {
+	var unsubscribe = null;
+	var timer = null;
+	var finished = false;
+	var finish = function() {
+		if(finished) return false;
+		finished = true;
+		clearTimeout(timer);
+		unsubscribe();
+		return true;
+	};
+	var promise = new Promise(function(resolve) {
+		unsubscribe = exports.subscribe(user_id, function() {
+			if(finish()) resolve(true);
+		});
+		timer = setTimeout(function() {
+			if(finish()) resolve(false);
+		}, timeout);
+	});
+	return {promise: promise, cancel: finish};
+};
@@ -11,6 +11,9 @@ var allowed_headers = [
 	'X-Requested-With',
 	'If-Modified-Since',
 	'X-Turtl-Client',
+	'X-Turtl-Device',
+	'X-Turtl-OTP',
+	'Last-Event-ID',
 ].join(',');
 
 module.exports = function(req, res, next) {
@@ -23,6 +23,11 @@ pool.on('error', function(err, client) {
 	log.error('pg.Pool() -- ', err);
 });
 
+// our dedicated LISTEN connection (see listen() below) and the handlers
+// waiting on each channel
+var listener = null;
+var listen_handlers = {};
+
 /**
  * clean db literal strings
  */
@@ -117,63 +122,6 @@ exports.client = function() {
 	});
 };
 
-/**
- * run a query, using a pooled connection, and return the result as a finished
- * promise.
- */
-exports.query = function(qry, query_data, options) {
-	var client = null;
-	return exports.client()
-		.then(function(_client) {
-			client = _client;
-			return client.query(qry, query_data, options);
-		})
-		.finally(function() {
-			return client && client.close();
-		});
-};
-
-/**
- * wraps query(), pulls out the first record
- */
-exports.first = function(qry, query_data, options) {
-	options || (options = {});
-	return exports.query(qry, query_data, options)
-		.then(function(res) { return res[0]; });
-};
-
-/**
- * get an item by id
- */
-exports.by_id = function(table, id, options) {
-	options || (options = {});
-	var fields = options.fields;
-
-	var qry_fields = fields ? fields.map(clean) : ['*'];
-	return exports.first('SELECT '+qry_fields.join(',')+' FROM '+clean(table)+' WHERE id = {{id}} LIMIT 1', {id: id});
-};
-
-/**
- * grab items from a table by id
- */
-exports.by_ids = function(table, ids, options) {
-	options || (options = {});
-	var fields = options.fields;
-	var id_field = options.id_field || 'id';
-
-	// make sure a blank id list returns a blank result set =]
-	if(!ids || ids.length == 0) return Promise.resolve([]);
-
-	var id_data = {};
-	var qry_ids = [];
-	ids.forEach(function(id, i) {
-		id_data['--id-'+i] = id;
-		qry_ids.push('{{--id-'+i+'}}')
-	});
-	var qry_fields = fields ? fields.map(clean) : ['*'];
-	return exports.query('SELECT '+qry_fields.join(',')+' FROM '+clean(table)+' WHERE '+clean(id_field)+' IN ( '+qry_ids.join(',')+' )', id_data);
-};
-
 /**
  * build a (possibly bulk) insert query, given a data object OR an array of data
  * objects lol
@@ -200,84 +148,353 @@ var build_insert = function(table, data) {
 };
 
 /**
- * insert an object into the given table. if `data` is an array, will do a bulk
- * insert and return ALL inserted data. if `data` is a plain old object, then it
- * just does the one insert and returns just one data object. adaptive. smart.
- * stylish. don't leave home without the insert function in your pocket.
- *
- * to learn more about this operation, see https://youtu.be/AW-iVH9xIEs?t=1m1s
+ * builds our query interface (query/first/by_id/insert/update/etc) on top of
+ * the given query function. the module itself exposes this interface using
+ * pooled connections, and transactions (see transaction()) expose the exact
+ * same interface bound to one connection, so anything that takes a `tx` can be
+ * handed either.
  */
-exports.insert = function(table, data) {
-	try {
-		var built = build_insert(table, data);
-	} catch(err) {
-		return Promise.reject(err);
-	}
-	var qry = built.query+' RETURNING '+clean(table)+'.*;';
-	return exports.query(qry, built.vals, {type: 'select'})
-		.then(function(res) {
-			if(Array.isArray(data)) return res;
-			else return res[0];
+var make_interface = function(query) {
+	var self = {query: query};
+
+	/**
+	 * wraps query(), pulls out the first record
+	 */
+	self.first = function(qry, query_data, options) {
+		options || (options = {});
+		return self.query(qry, query_data, options)
+			.then(function(res) { return res[0]; });
+	};
+
+	/**
+	 * get an item by id
+	 */
+	self.by_id = function(table, id, options) {
+		options || (options = {});
+		var fields = options.fields;
+
+		var qry_fields = fields ? fields.map(clean) : ['*'];
+		return self.first('SELECT '+qry_fields.join(',')+' FROM '+clean(table)+' WHERE id = {{id}} LIMIT 1', {id: id});
+	};
+
+	/**
+	 * grab items from a table by id
+	 */
+	self.by_ids = function(table, ids, options) {
+		options || (options = {});
+		var fields = options.fields;
+		var id_field = options.id_field || 'id';
+
+		// make sure a blank id list returns a blank result set =]
+		if(!ids || ids.length == 0) return Promise.resolve([]);
+
+		var id_data = {};
+		var qry_ids = [];
+		ids.forEach(function(id, i) {
+			id_data['--id-'+i] = id;
+			qry_ids.push('{{--id-'+i+'}}')
 		});
+		var qry_fields = fields ? fields.map(clean) : ['*'];
+		return self.query('SELECT '+qry_fields.join(',')+' FROM '+clean(table)+' WHERE '+clean(id_field)+' IN ( '+qry_ids.join(',')+' )', id_data);
+	};
+
+	/**
+	 * insert an object into the given table. if `data` is an array, will do a bulk
+	 * insert and return ALL inserted data. if `data` is a plain old object, then it
+	 * just does the one insert and returns just one data object. adaptive. smart.
+	 * stylish. don't leave home without the insert function in your pocket.
+	 *
+	 * to learn more about this operation, see https://youtu.be/AW-iVH9xIEs?t=1m1s
+	 */
+	self.insert = function(table, data) {
+		try {
+			var built = build_insert(table, data);
+		} catch(err) {
+			return Promise.reject(err);
+		}
+		var qry = built.query+' RETURNING '+clean(table)+'.*;';
+		return self.query(qry, built.vals, {type: 'select'})
+			.then(function(res) {
+				if(Array.isArray(data)) return res;
+				else return res[0];
+			});
+	};
+
+	/**
+	 * update an object in a table by id.
+	 *
+	 * if `options.version` is given, the update only happens if the row's current
+	 * `data.version` matches it (rows without a version count as version 1). if it
+	 * doesn't match, nothing is updated and we resolve to undefined.
+	 */
+	self.update = function(table, id, data, options) {
+		options || (options = {});
+		var qry_sets = Object.keys(data).map(function(key) {
+			return key+' = {{'+key+'}}';
+		});
+		qry_sets.push('updated = NOW()');
+		var qry = 'UPDATE '+clean(table)+' SET '+qry_sets.join(', ')+' WHERE '+clean('id')+' = {{id}}';
+		var copy = util.clone(data);
+		if(options.version) {
+			qry += ' AND COALESCE((data->>\'version\')::bigint, 1) = {{--version}}';
+			copy['--version'] = options.version;
+		}
+		qry += ' RETURNING *';
+		copy.id = id;
+		return self.query(qry, copy, {type: 'select'})
+			.then(function(res) { return res[0]; });
+	};
+
+	/**
+	 * does an upsert and returns the latest version of the object (whether inserted
+	 * or updated). requires postgres >= 9.5.
+	 *
+	 * does not support bulk upserts SO EVERYONE STOP FUCKING ASKING ABOUT IT
+	 *
+	 * if `options.versioned` is set and the row already exists, its
+	 * `data.version` is bumped from the existing row's version instead of being
+	 * overwritten with whatever's in `data`.
+	 */
+	self.upsert = function(table, data, key, options) {
+		options || (options = {});
+		if(!data[key]) return Promise.reject(new Error('db: upsert: `key` field not present in `data`'));
+		if(Array.isArray(data)) return Promise.reject(new Error('db: upsert: `data` cannot be an array.'));
+
+		var keys = Object.keys(data);
+		try
+		{
+			var built = build_insert(table, data);
+		}
+		catch(err)
+		{
+			return Promise.reject(err);
+		}
+		var qry = built.query;
+		var vals = built.vals;
+
+		qry += ' ON CONFLICT ('+clean(key)+') ';
+		qry += 'DO UPDATE SET ';
+		qry += keys.map(function(col, i) {
+			var tplvar = '--upsert-var-'+i;
+			vals[tplvar] = data[col];
+			if(options.versioned && col == 'data') {
+				var cur_version = 'COALESCE(('+clean(table)+'.data->>\'version\')::bigint, 1)';
+				return col+' = jsonb_set({{'+tplvar+'}}::jsonb, \'{version}\', to_jsonb('+cur_version+' + 1))';
+			}
+			return col+' = {{'+tplvar+'}}'
+		}).join(', ');
+		qry += ', updated = NOW()';
+		qry += ' RETURNING '+clean(table)+'.*;';
+
+		return self.query(qry, vals, {type: 'select'})
+			.then(function(res) {
+				return res[0];
+			});
+	};
+
+	/**
+	 * delete an object by id
+	 */
+	self.delete = function(table, id) {
+		return self.query('DELETE FROM '+clean(table)+' WHERE id = {{id}}', {id: id});
+	};
+
+	/**
+	 * send a NOTIFY on the given channel. `payload` must be a string, and postgres
+	 * caps it at 8000 bytes, so keep it small.
+	 */
+	self.notify = function(channel, payload) {
+		return self.query('SELECT pg_notify({{channel}}, {{payload}})', {channel: channel, payload: payload});
+	};
+
+	return self;
 };
 
 /**
- * update an object in a table by id.
+ * run a query, using a pooled connection, and return the result as a finished
+ * promise.
  */
-exports.update = function(table, id, data) {
-	var qry_sets = Object.keys(data).map(function(key) {
-		return key+' = {{'+key+'}}';
-	});
-	qry_sets.push('updated = NOW()');
-	var qry = 'UPDATE '+clean(table)+' SET '+qry_sets.join(', ')+' WHERE '+clean('id')+' = {{id}} RETURNING *';
-	var copy = util.clone(data);
-	copy.id = id;
-	return exports.query(qry, copy, {type: 'select'})
-		.then(function(res) { return res[0]; });
+var pooled_query = function(qry, query_data, options) {
+	var client = null;
+	return exports.client()
+		.then(function(_client) {
+			client = _client;
+			return client.query(qry, query_data, options);
+		})
+		.finally(function() {
+			return client && client.close();
+		});
 };
 
+var pooled = make_interface(pooled_query);
+Object.keys(pooled).forEach(function(key) { exports[key] = pooled[key]; });
+
 /**
- * does an upsert and returns the latest version of the object (whether inserted
- * or updated). requires postgres >= 9.5.
+ * queue a function to run once the current transaction commits. since queries
+ * run against the module directly aren't in a transaction, we just run it now.
+ * transactions override this (see transaction()).
+ */
+exports.on_commit = function(fn) {
+	return Promise.try(fn);
+};
+
+/**
+ * run `fn` inside of a transaction. `fn` is handed a transaction object that
+ * has the same interface as this module (query, first, insert, update, ...)
+ * but runs everything on one connection. if the promise `fn` returns resolves,
+ * we commit, otherwise we roll back.
+ *
+ * anything that should only happen if the transaction actually commits (say,
+ * deleting files, or telling clients about new sync records) can be queued via
+ * `tx.on_commit(fn)`. these run after the commit, and their errors are logged
+ * rather than thrown since the data is already saved by then.
  *
- * does not support bulk upserts SO EVERYONE STOP FUCKING ASKING ABOUT IT
+ * `tx.before_commit(fn)` queues up work that should happen at the very end of
+ * the transaction (say, writing out everything a request batched up). these
+ * run in order once `fn` resolves, and if any of them fail we roll back.
  */
-exports.upsert = function(table, data, key) {
-	if(!data[key]) return Promise.reject(new Error('db: upsert: `key` field not present in `data`'));
-	if(Array.isArray(data)) return Promise.reject(new Error('db: upsert: `data` cannot be an array.'));
-
-	var keys = Object.keys(data);
-	try
-	{
-		var built = build_insert(table, data);
-	}
-	catch(err)
-	{
-		return Promise.reject(err);
-	}
-	var qry = built.query;
-	var vals = built.vals;
-
-	qry += ' ON CONFLICT ('+clean(key)+') ';
-	qry += 'DO UPDATE SET ';
-	qry += keys.map(function(col, i) {
-		var tplvar = '--upsert-var-'+i;
-		vals[tplvar] = data[col];
-		return col+' = {{'+tplvar+'}}'
-	}).join(', ');
-	qry += ', updated = NOW()';
-	qry += ' RETURNING '+clean(table)+'.*;';
-
-	return exports.query(qry, vals, {type: 'select'})
-		.then(function(res) {
-			return res[0];
+exports.transaction = function(fn) {
+	var client = null;
+	var before_commit_fns = [];
+	var commit_fns = [];
+	return exports.client()
+		.then(function(_client) {
+			client = _client;
+			return client.query('BEGIN');
+		})
+		.then(function() {
+			var tx = make_interface(client.query);
+			tx.in_transaction = true;
+			tx.on_commit = function(commit_fn) {
+				commit_fns.push(commit_fn);
+				return Promise.resolve();
+			};
+			tx.before_commit = function(before_fn) {
+				before_commit_fns.push(before_fn);
+				return Promise.resolve();
+			};
+			return fn(tx);
+		})
+		.tap(function() {
+			// these can queue up more of themselves, so no Promise.each here
+			var next = function() {
+				var before_fn = before_commit_fns.shift();
+				if(!before_fn) return;
+				return Promise.resolve(before_fn()).then(next);
+			};
+			return next();
+		})
+		.tap(function() {
+			return client.query('COMMIT');
+		})
+		.catch(function(err) {
+			if(!client) throw err;
+			return client.query('ROLLBACK')
+				.catch(function(rollback_err) {
+					log.error('db: transaction -- problem rolling back: ', rollback_err);
+				})
+				.then(function() { throw err; });
+		})
+		.tap(function() {
+			return Promise.each(commit_fns, function(commit_fn) {
+				return Promise.resolve()
+					.then(commit_fn)
+					.catch(function(err) {
+						log.error('db: transaction -- post-commit: ', err);
+					});
+			});
+		})
+		.finally(function() {
+			return client && client.close();
 		});
 };
 
 /**
- * delete an object by id
+ * run a SELECT through a server-side cursor, handing the rows to `batch_fn` a
+ * chunk at a time instead of loading the whole result into memory. if
+ * `batch_fn` returns a promise, we wait on it before fetching the next batch,
+ * so slow consumers don't cause rows to pile up.
+ *
+ * this holds a connection (and a transaction) open until we're done, so don't
+ * use it for things that might take forever.
+ *
+ * options:
+ *   - batch_size: how many rows to fetch at a time (default 100)
+ */
+exports.cursor = function(qry, query_data, options, batch_fn) {
+	options || (options = {});
+	var batch_size = parseInt(options.batch_size) || 100;
+	// cursors only live as long as their transaction, so no need to be clever
+	// with names here
+	var name = 'db_cursor';
+	return exports.transaction(function(tx) {
+		var next = function() {
+			return tx.query('FETCH '+batch_size+' FROM '+name, {}, {type: 'select'})
+				.then(function(rows) {
+					if(rows.length == 0) return;
+					return Promise.resolve(batch_fn(rows))
+						.then(function() {
+							if(rows.length < batch_size) return;
+							return next();
+						});
+				});
+		};
+		return tx.query('DECLARE '+name+' NO SCROLL CURSOR FOR '+qry, query_data)
+			.then(next)
+			.then(function() {
+				return tx.query('CLOSE '+name);
+			});
+	});
+};
+
+/**
+ * connect our LISTEN client and subscribe to every channel we have handlers
+ * for. if the connection drops, we keep trying to reconnect, and once we're
+ * back we call every handler with a `null` payload since we may have missed
+ * notifications in the meantime.
  */
-exports.delete = function(table, id) {
-	return exports.query('DELETE FROM '+clean(table)+' WHERE id = {{id}}', {id: id});
+var connect_listener = function(is_reconnect) {
+	var client = new pg.Client({connectionString: connection});
+	listener = client;
+	var reconnect = function(err) {
+		if(listener !== client) return;
+		log.error('db: listener -- connection lost, reconnecting: ', err);
+		listener = null;
+		client.removeAllListeners();
+		client.end(function() {});
+		setTimeout(function() { connect_listener(true); }, 2000);
+	};
+	client.on('error', reconnect);
+	client.on('end', reconnect);
+	client.on('notification', function(msg) {
+		(listen_handlers[msg.channel] || []).forEach(function(fn) {
+			fn(msg.payload);
+		});
+	});
+	client.connect(function(err) {
+		if(err) return reconnect(err);
+		Object.keys(listen_handlers).forEach(function(channel) {
+			client.query('LISTEN "'+clean(channel)+'"', function(err) {
+				if(err) return reconnect(err);
+				if(!is_reconnect) return;
+				listen_handlers[channel].forEach(function(fn) { fn(null); });
+			});
+		});
+	});
 };
 
+/**
+ * listen for NOTIFYs on the given channel, calling `fn(payload)` for each one.
+ * all listens in this process share one connection (outside of the pool).
+ */
+exports.listen = function(channel, fn) {
+	var is_new = !listen_handlers[channel];
+	if(is_new) listen_handlers[channel] = [];
+	listen_handlers[channel].push(fn);
+	if(!listener) return connect_listener(false);
+	if(is_new) {
+		listener.query('LISTEN "'+clean(channel)+'"', function(err) {
+			if(err) log.error('db: listen -- ', err);
+		});
+	}
+};
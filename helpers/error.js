@@ -16,6 +16,7 @@ exports.payment_required = make_err_fn(402);
 exports.forbidden = make_err_fn(403);
 exports.not_found = make_err_fn(404);
 exports.conflict = make_err_fn(409);
+exports.gone = make_err_fn(410);
 
 exports.internal = make_err_fn(500);
 
@@ -0,0 +1,49 @@
+"use strict";
+
+/**
+ * config.app.secure_hash_salt can be a single salt, or a list of them (current
+ * first, then any previous ones). new hashes/tokens always use the current
+ * salt, and checks try the old ones too, so a salt can be rotated without
+ * locking anyone out. see tools/salt-report.js for when it's safe to drop an
+ * old one.
+ */
+
+var crypto = require('crypto');
+var config = require('./config');
+
+/**
+ * get all our salts, current first
+ */
+exports.all = function() {
+	var salts = config.app.secure_hash_salt;
+	if(!Array.isArray(salts)) salts = [salts];
+	salts = salts.filter(function(salt) { return !!salt; });
+	if(salts.length == 0) throw new Error('app.secure_hash_salt isn\'t set in the config');
+	return salts;
+};
+
+/**
+ * get the salt new stuff should use
+ */
+exports.current = function() {
+	return exports.all()[0];
+};
+
+/**
+ * a short, safe-to-store name for a salt, so we can tell which one a hash was
+ * made with without storing the salt itself
+ */
+exports.fingerprint = function(salt) {
+	return crypto.createHash('sha256').update(salt).digest('hex').substr(0, 16);
+};
+
+/**
+ * grab the salts something with the given (recorded) fingerprint could have
+ * been made with: just the matching salt if we have it, otherwise (no
+ * fingerprint, or one we don't know) all of them, current first.
+ */
+exports.for_fingerprint = function(fingerprint) {
+	var salts = exports.all();
+	var match = salts.filter(function(salt) { return fingerprint && exports.fingerprint(salt) == fingerprint; });
+	return match.length > 0 ? match.slice(0, 1) : salts;
+};
@@ -0,0 +1,92 @@
+"use strict";
+
+/**
+ * Time-based one-time passwords (RFC 6238), the kind authenticator apps spit
+ * out: 6 digits, a new one every 30 seconds, HMAC-SHA1 under the hood.
+ */
+
+var crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// how many steps on either side of now we accept, to allow for clock drift
+// (and slow typists)
+const WINDOW = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * generate a new secret, as a hex string
+ */
+exports.generate_secret = function() {
+	return crypto.randomBytes(20).toString('hex');
+};
+
+/**
+ * base32 a hex secret, which is what authenticator apps want to see
+ */
+exports.base32 = function(secret_hex) {
+	var bytes = Buffer.from(secret_hex, 'hex');
+	var bits = 0;
+	var value = 0;
+	var out = '';
+	for(var i = 0; i < bytes.length; i++) {
+		value = (value << 8) | bytes[i];
+		bits += 8;
+		while(bits >= 5) {
+			out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if(bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+	return out;
+};
+
+/**
+ * build the otpauth:// uri that authenticator apps can import (usually via a
+ * QR code)
+ */
+exports.make_uri = function(secret_hex, account, issuer) {
+	var label = encodeURIComponent(issuer)+':'+encodeURIComponent(account);
+	var params = [
+		'secret='+exports.base32(secret_hex),
+		'issuer='+encodeURIComponent(issuer),
+		'algorithm=SHA1',
+		'digits='+DIGITS,
+		'period='+STEP_SECONDS,
+	];
+	return 'otpauth://totp/'+label+'?'+params.join('&');
+};
+
+var hotp = function(key, counter) {
+	var buf = Buffer.alloc(8);
+	buf.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+	buf.writeUInt32BE(counter % 0x100000000, 4);
+	var hmac = crypto.createHmac('sha1', key).update(buf).digest();
+	var offset = hmac[hmac.length - 1] & 0xf;
+	var bin = ((hmac[offset] & 0x7f) << 24) |
+		(hmac[offset + 1] << 16) |
+		(hmac[offset + 2] << 8) |
+		hmac[offset + 3];
+	var code = (bin % Math.pow(10, DIGITS)).toString();
+	while(code.length < DIGITS) code = '0'+code;
+	return code;
+};
+
+/**
+ * check a code against a (hex) secret. returns the time step the code is for
+ * if it's good, otherwise null. codes for steps at or before `last_step` are
+ * rejected so the same code can't be used twice.
+ */
+exports.verify = function(secret_hex, code, last_step) {
+	code = (code || '').toString().replace(/\s+/g, '');
+	if(!code.match(/^[0-9]+$/) || code.length != DIGITS) return null;
+	var key = Buffer.from(secret_hex, 'hex');
+	var now_step = Math.floor(new Date().getTime() / 1000 / STEP_SECONDS);
+	var given = Buffer.from(code, 'utf8');
+	for(var step = now_step - WINDOW; step <= now_step + WINDOW; step++) {
+		if(last_step !== null && last_step !== undefined && step <= last_step) continue;
+		var expected = Buffer.from(hotp(key, step), 'utf8');
+		if(crypto.timingSafeEqual(given, expected)) return step;
+	}
+	return null;
+};
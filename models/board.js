@@ -13,16 +13,19 @@ vlad.define('board', {
 	space_id: {type: vlad.type.client_id, required: true},
 	user_id: {type: vlad.type.int, required: true},
 	keys: {type: vlad.type.array},
+	version: {type: vlad.type.int},
 	body: {type: vlad.type.string},
 });
 
 /**
  * get a board's data by id
  */
-var get_by_id = function(board_id) {
-	return db.by_id('boards', board_id)
+var get_by_id = function(board_id, tx) {
+	tx || (tx = db);
+	return tx.by_id('boards', board_id)
 		.then(function(board) { return board && board.data; });
 };
+exports.get_by_id = get_by_id;
 
 exports.get_by_spaces = function(space_ids) {
 	if(space_ids.length == 0) return Promise.resolve([]);
@@ -50,6 +53,7 @@ var edit = space_model.simple_edit(
 	get_by_id,
 	function(data) { return {id: data.id, space_id: data.space_id, data: db.json(data)}; }
 );
+exports.edit_board = edit;
 
 var del = space_model.simple_delete(
 	'board',
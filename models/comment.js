@@ -0,0 +1,171 @@
+"use strict";
+
+var db = require('../helpers/db');
+var Promise = require('bluebird');
+var sync_model = require('./sync');
+var vlad = require('../helpers/validator');
+var error = require('../helpers/error');
+var space_model = require('./space');
+var note_model = require('./note');
+var trash_model = require('./trash');
+var util = require('../helpers/util');
+
+vlad.define('comment', {
+	id: {type: vlad.type.client_id, required: true},
+	space_id: {type: vlad.type.client_id, required: true},
+	note_id: {type: vlad.type.client_id, required: true},
+	user_id: {type: vlad.type.int, required: true},
+	keys: {type: vlad.type.array},
+	version: {type: vlad.type.int},
+	body: {type: vlad.type.string},
+});
+
+// there are no comment-specific permissions, so we borrow the note ones:
+// anyone who can add notes to a space can comment on them (and edit/delete
+// their own comments), and anyone who can delete notes can delete anyone's
+// comments.
+var perms = space_model.permissions;
+var PERM_COMMENT = perms.add_note;
+var PERM_MODERATE = perms.delete_note;
+
+var get_by_id = function(comment_id, tx) {
+	tx || (tx = db);
+	return tx.by_id('comments', comment_id)
+		.then(function(comment) { return comment && comment.data; });
+};
+exports.get_by_id = get_by_id;
+
+exports.get_by_spaces = function(space_ids) {
+	if(space_ids.length == 0) return Promise.resolve([]);
+	return db.by_ids('comments', space_ids, {id_field: 'space_id'})
+		.then(function(comments) {
+			return comments.map(function(c) { return c.data; });
+		});
+};
+
+exports.get_by_space_id = function(space_id) {
+	return exports.get_by_spaces([space_id]);
+};
+
+var make_item = function(data) {
+	return {id: data.id, space_id: data.space_id, note_id: data.note_id, data: db.json(data)};
+};
+
+var simple_add = space_model.simple_add('comment', 'comments', PERM_COMMENT, make_item);
+
+var simple_edit = space_model.simple_edit(
+	'comment',
+	'comments',
+	PERM_COMMENT,
+	get_by_id,
+	function(data, existing) {
+		// comments can't wander off to another note
+		data.note_id = existing.note_id;
+		return make_item(data);
+	}
+);
+
+var delete_own = space_model.simple_delete('comment', 'comments', PERM_COMMENT, get_by_id);
+var delete_any = space_model.simple_delete('comment', 'comments', PERM_MODERATE, get_by_id);
+
+/**
+ * add a comment to a note. the comment lives in whatever space the note is in.
+ *
+ * simple_add() upserts, which would let anyone who can comment take over an
+ * existing comment by "adding" it again, so ids that are already taken are
+ * rejected.
+ */
+var add = function(user_id, data, tx) {
+	return Promise.all([
+			get_by_id(data.id, tx),
+			note_model.get_by_id(data.note_id, tx),
+		])
+		.spread(function(existing, note) {
+			if(existing) throw error.forbidden('comment '+data.id+' already exists');
+			if(!note) throw error.not_found('note '+data.note_id+' does not exist');
+			data.space_id = note.space_id;
+			return simple_add(user_id, data, tx);
+		});
+};
+
+/**
+ * edit a comment. you can only edit your own.
+ */
+var edit = function(user_id, data, tx) {
+	return get_by_id(data.id, tx)
+		.then(function(comment) {
+			if(!comment) throw error.not_found('comment '+data.id+' does not exist');
+			if(comment.user_id != user_id) {
+				throw error.forbidden('you can\'t edit someone else\'s comment');
+			}
+			return simple_edit(user_id, data, tx);
+		});
+};
+
+/**
+ * delete a comment. you can delete your own, or anyone's if you're allowed to
+ * delete notes in the space.
+ */
+var del = function(user_id, comment_id, tx) {
+	return get_by_id(comment_id, tx)
+		.then(function(comment) {
+			if(!comment) return [];
+			if(comment.user_id == user_id) return delete_own(user_id, comment_id, tx);
+			return delete_any(user_id, comment_id, tx);
+		});
+};
+
+/**
+ * remove all of a note's comments (say, because the note was deleted) and let
+ * the space know. no permission checks, so make sure the user was allowed to
+ * do whatever led to this.
+ */
+exports.delete_by_note = function(user_id, note_id, space_id, tx) {
+	tx || (tx = db);
+	var qry = 'DELETE FROM comments WHERE note_id = {{note_id}} RETURNING id';
+	return tx.query(qry, {note_id: note_id}, {type: 'select'})
+		.then(function(comments) {
+			if(comments.length == 0) return [];
+			return space_model.get_space_user_ids(space_id, tx)
+				.then(function(user_ids) {
+					return Promise.all(comments.map(function(comment) {
+						return sync_model.add_record(user_ids, user_id, 'comment', comment.id, 'delete', tx);
+					}));
+				})
+				.then(function(sync_ids) {
+					return [].concat.apply([], sync_ids);
+				});
+		});
+};
+
+/**
+ * move all of a note's comments into the note's trash entry (see
+ * trash_model.stash_with_item()) so they come back if the note is restored,
+ * and let the space know they're gone. call this after the note itself has
+ * been trashed. no permission checks, same as delete_by_note().
+ */
+exports.trash_by_note = function(user_id, note_id, space_id, tx) {
+	tx || (tx = db);
+	return tx.query('SELECT * FROM comments WHERE note_id = {{note_id}}', {note_id: note_id})
+		.then(function(comments) {
+			if(comments.length == 0) return;
+			return trash_model.stash_with_item('note', note_id, 'comments', comments, tx);
+		})
+		.then(function() {
+			return exports.delete_by_note(user_id, note_id, space_id, tx);
+		});
+};
+
+var link = function(ids) {
+	return db.by_ids('comments', ids, {fields: ['data']})
+		.then(function(items) {
+			return items.map(function(i) { return i.data;});
+		});
+};
+
+sync_model.register('comment', {
+	'add': add,
+	'edit': edit,
+	'delete': del,
+	'link': link,
+});
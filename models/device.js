@@ -0,0 +1,130 @@
+"use strict";
+
+/**
+ * Keeps track of the devices a user syncs from. Clients identify themselves
+ * with a device id (the X-Turtl-Device header), and on every /sync call we note
+ * what client they're running, where they're calling from, when we last saw
+ * them, and the last sync_id they told us they have.
+ */
+
+var db = require('../helpers/db');
+var Promise = require('bluebird');
+var config = require('../helpers/config');
+
+const MAX_DEVICE_ID_LENGTH = 64;
+// we don't need the whole user agent novel, just enough to tell devices apart
+const MAX_CLIENT_LENGTH = 128;
+// used if config.devices doesn't say otherwise
+const DEFAULT_MAX_PER_USER = 50;
+const DEFAULT_RETENTION_DAYS = 90;
+
+var get_config_int = function(key, def) {
+	var val = parseInt((config.devices || {})[key]);
+	return isNaN(val) ? def : val;
+};
+
+/**
+ * see if a device id (as sent by a client) is one we'll keep track of: a
+ * string of 1-64 characters
+ */
+var is_valid_id = function(device_id) {
+	return typeof(device_id) == 'string' && device_id.length > 0 && device_id.length <= MAX_DEVICE_ID_LENGTH;
+};
+exports.is_valid_id = is_valid_id;
+
+var make_id = function(user_id, device_id) {
+	return user_id+':'+device_id;
+};
+
+var clean = function(device) {
+	return {
+		id: device.device_id,
+		client: device.client,
+		ip: device.ip,
+		sync_id: device.sync_id === null ? null : parseInt(device.sync_id),
+		last_seen: device.last_seen,
+		created: device.created,
+	};
+};
+
+/**
+ * note that we heard from a device. `info` can have:
+ *
+ *   - client: the X-Turtl-Client the device sent
+ *   - ip: the ip it called from
+ *   - sync_id: the last sync_id the device told us it has
+ *
+ * anything not given is left as it was. device ids that aren't strings of
+ * 1-64 characters are ignored.
+ *
+ * clients can make up as many device ids as they like, so when we see a new
+ * one we forget the user's least recently seen devices past
+ * config.devices.max_per_user.
+ */
+exports.touch = function(user_id, device_id, info) {
+	info || (info = {});
+	if(!is_valid_id(device_id)) return Promise.resolve();
+	var device = {
+		id: make_id(user_id, device_id),
+		user_id: user_id,
+		device_id: device_id,
+		last_seen: db.literal('NOW()'),
+	};
+	if(info.client) device.client = info.client.toString().substr(0, MAX_CLIENT_LENGTH);
+	if(info.ip) device.ip = info.ip;
+	if(info.sync_id || info.sync_id === 0) device.sync_id = info.sync_id;
+	return db.upsert('devices', device, 'id')
+		.then(function(row) {
+			// a fresh insert gets created/updated from the same NOW(), an
+			// update leaves `created` alone
+			var is_new = row && row.created && row.updated && row.created.getTime() == row.updated.getTime();
+			if(!is_new) return;
+			return prune_user(user_id);
+		});
+};
+
+/**
+ * remove a user's least recently seen devices past config.devices.max_per_user
+ * (0 means no limit)
+ */
+var prune_user = function(user_id) {
+	var max = get_config_int('max_per_user', DEFAULT_MAX_PER_USER);
+	if(max <= 0) return Promise.resolve();
+	var qry = [
+		'DELETE FROM devices',
+		'WHERE id IN (',
+		'	SELECT id FROM devices',
+		'	WHERE user_id = {{user_id}}',
+		'	ORDER BY last_seen DESC',
+		'	OFFSET {{max}}',
+		')',
+	].join('\n');
+	return db.query(qry, {user_id: user_id, max: max});
+};
+
+/**
+ * forget any devices we haven't heard from in config.devices.retention_days (0
+ * means keep them forever). resolves to the number of devices removed.
+ *
+ * meant to be run periodically via tools/purge-devices.js.
+ */
+exports.purge_stale = function() {
+	var days = get_config_int('retention_days', DEFAULT_RETENTION_DAYS);
+	if(days <= 0) return Promise.resolve(0);
+	var qry = 'DELETE FROM devices WHERE last_seen < NOW() - ({{days}}::int * INTERVAL \'1 day\')';
+	return db.query(qry, {days: days})
+		.then(function(res) {
+			return res.rowCount;
+		});
+};
+
+/**
+ * list a user's devices, most recently seen first
+ */
+exports.get_by_user_id = function(user_id) {
+	var qry = 'SELECT * FROM devices WHERE user_id = {{user_id}} ORDER BY last_seen DESC';
+	return db.query(qry, {user_id: user_id})
+		.then(function(devices) {
+			return devices.map(clean);
+		});
+};
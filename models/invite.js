@@ -25,9 +25,10 @@ vlad.define('invite', {
 	body: {type: vlad.type.string},
 });
 
-var get_by_id = function(space_id, invite_id) {
+var get_by_id = function(space_id, invite_id, tx) {
+	tx || (tx = db);
 	var qry = 'SELECT * FROM spaces_invites WHERE id = {{id}} AND space_id = {{space_id}} LIMIT 1';
-	return db.first(qry, {id: invite_id, space_id: space_id});
+	return tx.first(qry, {id: invite_id, space_id: space_id});
 };
 
 /**
@@ -44,9 +45,10 @@ var clean = function(invite) {
 	return invite;
 };
 
-var delete_invite = function(space_id, invite_id) {
+var delete_invite = function(space_id, invite_id, tx) {
+	tx || (tx = db);
 	var qry = 'DELETE FROM spaces_invites WHERE id = {{invite_id}} AND space_id = {{space_id}}';
-	return db.query(qry, {invite_id: invite_id, space_id: space_id});
+	return tx.query(qry, {invite_id: invite_id, space_id: space_id});
 };
 
 var create_outgoing_invite_sync_record = function(user_id, space_id, invite_id, action) {
@@ -183,51 +185,57 @@ exports.send = function(user_id, space_id, data) {
 		});
 };
 
+/**
+ * accept an invite, joining its space. this all happens in one transaction, so
+ * the sync records for the new member and everyone already in the space get
+ * written together.
+ */
 exports.accept = function(user_id, space_id, invite_id, post_accept_fn) {
 	var invite;
-	return get_by_id(space_id, invite_id)
-		.tap(function(_invite) {
-			invite = _invite;
-			if(!invite) throw error.not_found('that invite doesn\'t exist');
-			return user_model.get_by_id(user_id)
-				.then(function(user) {
-					if(user.username != invite.to_user) throw error.forbidden('that invite wasn\'t sent to your email ('+user.username+')');
-					if(!user.confirmed) throw error.forbidden('you must confirm your account to accept an invite');
-					return space_model.user_is_in_space(user_id, space_id);
-				})
-				.then(function(spaceuser) {
-					if(!spaceuser) return;
-					throw error.conflict('you are already a member of space '+space_id);
-				});
-		})
-		.tap(function(invite) {
-			return space_model.create_space_user_record(space_id, user_id, invite.data.role);
-		})
-		.tap(function(invite) {
-			return delete_invite(space_id, invite_id);
-		})
-		.then(function(invite) {
-			return space_model.get_by_id(space_id, {populate: true})
-		})
-		.then(function(space) {
-			space = space.data;
-			return space_model.get_space_user_ids(space_id)
-				.tap(function(space_users) {
-					return Promise.all([
-						sync_model.add_record([user_id], user_id, 'space', space_id, 'share'),
-						sync_model.add_record([user_id], user_id, 'invite', invite_id, 'delete'),
-						sync_model.add_record(space_users, user_id, 'space', space_id, 'edit'),
-					]);
-				})
-				.then(function(sync_ids_arr) {
-					var sync_ids = util.flatten(sync_ids_arr);
-					space.sync_ids = sync_ids;
-					return space;
-				});
-		})
-		.tap(function(_invite) {
+	return db.transaction(function(tx) {
+		return get_by_id(space_id, invite_id, tx)
+			.tap(function(_invite) {
+				invite = _invite;
+				if(!invite) throw error.not_found('that invite doesn\'t exist');
+				return user_model.get_by_id(user_id, {tx: tx})
+					.then(function(user) {
+						if(user.username != invite.to_user) throw error.forbidden('that invite wasn\'t sent to your email ('+user.username+')');
+						if(!user.confirmed) throw error.forbidden('you must confirm your account to accept an invite');
+						return space_model.user_is_in_space(user_id, space_id, tx);
+					})
+					.then(function(spaceuser) {
+						if(!spaceuser) return;
+						throw error.conflict('you are already a member of space '+space_id);
+					});
+			})
+			.tap(function(invite) {
+				return space_model.create_space_user_record(space_id, user_id, invite.data.role, tx);
+			})
+			.tap(function(invite) {
+				return delete_invite(space_id, invite_id, tx);
+			})
+			.then(function(invite) {
+				return space_model.get_by_id(space_id, {populate: true, tx: tx})
+			})
+			.then(function(space) {
+				space = space.data;
+				return space_model.get_space_user_ids(space_id, tx)
+					.then(function(space_users) {
+						return Promise.all([
+							sync_model.add_record([user_id], user_id, 'space', space_id, 'share', tx),
+							sync_model.add_record([user_id], user_id, 'invite', invite_id, 'delete', tx),
+							sync_model.add_record(space_users, user_id, 'space', space_id, 'edit', tx),
+						]);
+					})
+					.then(function(sync_ids_arr) {
+						var sync_ids = util.flatten(sync_ids_arr);
+						space.sync_ids = sync_ids;
+						return space;
+					});
+			});
+	})
+		.tap(function(_space) {
 			if(post_accept_fn) post_accept_fn(invite);
-			return {accepted: true};
 		});
 };
 
@@ -338,17 +346,19 @@ exports.get_by_space_id = function(space_id) {
 /**
  * grab all invites for a given set of space ids
  */
-exports.get_by_spaces_ids = function(space_ids) {
-	return db.by_ids('spaces_invites', space_ids, {fields: ['id'], id_field: 'space_id'})
+exports.get_by_spaces_ids = function(space_ids, tx) {
+	tx || (tx = db);
+	return tx.by_ids('spaces_invites', space_ids, {fields: ['id'], id_field: 'space_id'})
 		.map(function(invite) { return invite.id; })
-		.then(link);
+		.then(function(invite_ids) { return link(invite_ids, tx); });
 };
 
-var link = function(ids) {
-	return db.by_ids('spaces_invites', ids, {fields: ['from_user_id', 'data']})
+var link = function(ids, tx) {
+	tx || (tx = db);
+	return tx.by_ids('spaces_invites', ids, {fields: ['from_user_id', 'data']})
 		.then(function(items) {
 			var user_ids = items.map(function(i) { return i.from_user_id; });
-			return user_model.get_by_ids(user_ids)
+			return user_model.get_by_ids(user_ids, {tx: tx})
 				.then(function(users) {
 					var user_idx = {};
 					users.forEach(function(user) { user_idx[user.id] = user; });
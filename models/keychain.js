@@ -11,6 +11,7 @@ vlad.define('keychain', {
 	type: {type: vlad.type.string, required: true},
 	item_id: {type: vlad.type.client_id, required: true},
 	user_id: {type: vlad.type.int, required: true},
+	version: {type: vlad.type.int},
 	body: {type: vlad.type.string, required: true},
 });
 
@@ -22,28 +23,31 @@ vlad.define('keychain', {
 exports.delete_by_user_item = function(user_id, item_id, options) {
 	options || (options = {});
 	if(!user_id || !item_id) return Promise.resolve([]);
+	var tx = options.tx || db;
 
 	var qry = 'SELECT * FROM keychain WHERE user_id = {{user_id}} AND item_id = {{item_id}} LIMIT 1';
-	return db.first(qry, {user_id: user_id, item_id: item_id})
+	return tx.first(qry, {user_id: user_id, item_id: item_id})
 		.then(function(entry) {
 			if(!entry) return [];
-			return del(user_id, entry.id);
+			return del(user_id, entry.id, tx);
 		});
 };
 
 /**
  * get a keychain entry's data by id
  */
-var get_by_id = function(keychain_id) {
-	return db.by_id('keychain', keychain_id)
+var get_by_id = function(keychain_id, tx) {
+	tx || (tx = db);
+	return tx.by_id('keychain', keychain_id)
 		.then(function(entry) { return entry && entry.data; });
 };
 
 /**
  * get all keychain entries for an item by id.
  */
-exports.get_by_item_id = function(item_id) {
-	return db.by_ids('keychain', [item_id], {id_field: 'item_id'})
+exports.get_by_item_id = function(item_id, tx) {
+	tx || (tx = db);
+	return tx.by_ids('keychain', [item_id], {id_field: 'item_id'})
 };
 
 exports.get_by_user = function(user_id) {
@@ -56,21 +60,24 @@ exports.get_by_user = function(user_id) {
 		});
 };
 
-var add = function(user_id, data) {
+var add = function(user_id, data, tx) {
+	tx || (tx = db);
 	data.user_id = user_id;
 	data = vlad.validate('keychain', data);
-	return db.upsert('keychain', {id: data.id, user_id: user_id, item_id: data.item_id, data: data}, 'id')
+	data.version = 1;
+	return tx.upsert('keychain', {id: data.id, user_id: user_id, item_id: data.item_id, data: data}, 'id', {versioned: true})
 		.tap(function(item) {
-			return sync_model.add_record([user_id], user_id, 'keychain', item.id, 'add')
+			return sync_model.add_record([user_id], user_id, 'keychain', item.id, 'add', tx)
 				.then(function(sync_ids) {
 					item.sync_ids = sync_ids;
 				});
 		});
 };
 
-var edit = function(user_id, data) {
+var edit = function(user_id, data, tx) {
+	tx || (tx = db);
 	data = vlad.validate('keychain', data);
-	return get_by_id(data.id)
+	return get_by_id(data.id, tx)
 		.then(function(item_data) {
 			if(!item_data) throw error.not_found('that keychain entry is missing');
 			// preserve user_id
@@ -78,27 +85,30 @@ var edit = function(user_id, data) {
 				throw error.forbidden('you can\'t edit a keychain entry you don\'t own');
 			}
 			data.user_id = user_id;
-			return db.update('keychain', data.id, {item_id: data.item_id, data: data});
+			var cur_version = sync_model.bump_version('keychain', data, item_data);
+			return tx.update('keychain', data.id, {item_id: data.item_id, data: data}, {version: cur_version})
+				.then(sync_model.ensure_versioned_update('keychain', data.id, get_by_id, tx));
 		})
 		.tap(function(item) {
-			return sync_model.add_record([user_id], user_id, 'keychain', item.id, 'edit')
+			return sync_model.add_record([user_id], user_id, 'keychain', item.id, 'edit', tx)
 				.then(function(sync_ids) {
 					item.sync_ids = sync_ids;
 				});
 		});
 };
 
-var del = function(user_id, keychain_id) {
-	return get_by_id(keychain_id)
+var del = function(user_id, keychain_id, tx) {
+	tx || (tx = db);
+	return get_by_id(keychain_id, tx)
 		.then(function(item_data) {
 			if(!item_data) error.promise_throw('missing_keychain');
 			if(user_id != item_data.user_id) {
 				throw error.forbidden('you can\'t delete a keychain entry you don\'t own');
 			}
-			return db.delete('keychain', keychain_id)
+			return tx.delete('keychain', keychain_id)
 		})
 		.then(function(_) {
-			return sync_model.add_record([user_id], user_id, 'keychain', keychain_id, 'delete')
+			return sync_model.add_record([user_id], user_id, 'keychain', keychain_id, 'delete', tx)
 		})
 		.catch(error.promise_catch('missing_keychain'), function() { return []; });
 };
@@ -0,0 +1,244 @@
+"use strict";
+
+/**
+ * Keeps people from guessing logins, without letting them lock everyone else
+ * out while they're at it. Failed logins are counted two ways:
+ *
+ *   - per account *and* ip: after config.app.login.max_attemps failures, that
+ *     ip can't log into that account for a while. someone hammering on your
+ *     account from their ip does nothing to your devices on yours.
+ *   - per ip: after config.app.login.ip_max_attempts failures (across any
+ *     accounts), the ip can't log into anything for a while.
+ *
+ * Each failure past the limit doubles the lock (starting at
+ * config.app.login.lock_duration seconds, up to max_lock_duration). Counts
+ * start over once an ip has been quiet for max_lock_duration, and a good login
+ * clears the count for that account/ip.
+ *
+ * The first time an account gets locked, we email its owner a link they can
+ * use to unlock it (see unlock_by_email()). That's once per account, not per
+ * ip: we don't send another until the link is used or max_lock_duration has
+ * passed.
+ *
+ * Old failure counts aren't cleaned up as we go, so run
+ * tools/purge-login-failures.js every so often (see purge_expired()).
+ */
+
+var db = require('../helpers/db');
+var Promise = require('bluebird');
+var config = require('../helpers/config');
+var error = require('../helpers/error');
+var log = require('../helpers/log');
+var email_model = require('./email');
+
+// used if config.app.login doesn't say otherwise
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_IP_MAX_ATTEMPTS = 50;
+const DEFAULT_LOCK_SECONDS = 60;
+const DEFAULT_MAX_LOCK_SECONDS = 86400;
+
+var get_limits = function() {
+	var login = config.app.login || {};
+	var num = function(val, df) {
+		val = parseInt(val);
+		return isNaN(val) ? df : val;
+	};
+	return {
+		max_attempts: num(login.max_attemps, DEFAULT_MAX_ATTEMPTS),
+		ip_max_attempts: num(login.ip_max_attempts, DEFAULT_IP_MAX_ATTEMPTS),
+		lock_seconds: num(login.lock_duration, DEFAULT_LOCK_SECONDS),
+		max_lock_seconds: num(login.max_lock_duration, DEFAULT_MAX_LOCK_SECONDS),
+	};
+};
+
+var account_key = function(user_id, ip) {
+	return 'account:'+user_id+':'+ip;
+};
+
+var ip_key = function(ip) {
+	return 'ip:'+ip;
+};
+
+/**
+ * how long (in seconds) to lock something out for after `failures` failures,
+ * given a limit of `max` (which must be > 0)
+ */
+var lock_seconds = function(failures, max, limits) {
+	if(failures < max) return 0;
+	var secs = limits.lock_seconds * Math.pow(2, Math.min(failures - max, 30));
+	return Math.min(secs, limits.max_lock_seconds);
+};
+
+/**
+ * make sure the given ip is allowed to try logging in (to the account with
+ * `user_id`, if given). rejects with a 403 (with error.extra.code set to
+ * `login_locked` and `retry_after` in seconds) if not.
+ */
+exports.check = function(user_id, ip) {
+	var ids = [ip_key(ip)];
+	if(user_id) ids.push(account_key(user_id, ip));
+	return db.by_ids('login_failures', ids)
+		.then(function(records) {
+			var now = new Date().getTime();
+			var locked_until = 0;
+			records.forEach(function(rec) {
+				if(!rec.locked_until) return;
+				locked_until = Math.max(locked_until, rec.locked_until.getTime());
+			});
+			if(locked_until <= now) return;
+			var retry_after = Math.ceil((locked_until - now) / 1000);
+			throw error.forbidden('too many failed logins, try again later', {code: 'login_locked', retry_after: retry_after});
+		});
+};
+
+/**
+ * count a failure against `id`, locking it if it's over `max`. resolves to the
+ * new failure count.
+ */
+var add_failure = function(id, max, limits) {
+	var qry = [
+		'INSERT INTO login_failures (id, failures, last_failed)',
+		'VALUES ({{id}}, 1, NOW())',
+		'ON CONFLICT (id) DO UPDATE SET',
+		'	failures = CASE',
+		'		WHEN login_failures.last_failed < NOW() - ({{reset}}::int * INTERVAL \'1 second\') THEN 1',
+		'		ELSE login_failures.failures + 1',
+		'	END,',
+		'	last_failed = NOW(),',
+		'	updated = NOW()',
+		'RETURNING failures',
+	].join('\n');
+	return db.first(qry, {id: id, reset: limits.max_lock_seconds})
+		.then(function(rec) {
+			var failures = parseInt(rec.failures);
+			if(max <= 0) return failures;
+			var secs = lock_seconds(failures, max, limits);
+			if(!secs) return failures;
+			var qry = 'UPDATE login_failures SET locked_until = NOW() + ({{secs}}::int * INTERVAL \'1 second\') WHERE id = {{id}}';
+			return db.query(qry, {id: id, secs: secs})
+				.then(function() { return failures; });
+		});
+};
+
+/**
+ * note a failed login from `ip`. `user` is the (raw) user that was being
+ * logged into, if there was one.
+ */
+exports.record_failure = function(user, ip) {
+	var limits = get_limits();
+	var promises = [
+		add_failure(ip_key(ip), limits.ip_max_attempts, limits),
+	];
+	if(user) {
+		var promise = add_failure(account_key(user.id, ip), limits.max_attempts, limits)
+			.then(function(failures) {
+				// only on the first lock from this ip (send_unlock_email()
+				// takes care of other ips)
+				if(limits.max_attempts <= 0 || failures != limits.max_attempts) return;
+				return send_unlock_email(user, limits);
+			});
+		promises.push(promise);
+	}
+	return Promise.all(promises)
+		.catch(function(err) {
+			log.error('login_throttle.record_failure() -- ', err);
+		});
+};
+
+/**
+ * a good login from `ip` clears that ip's failures for the account
+ */
+exports.record_success = function(user_id, ip) {
+	return db.query('DELETE FROM login_failures WHERE id = {{id}}', {id: account_key(user_id, ip)})
+		.catch(function(err) {
+			log.error('login_throttle.record_success() -- ', err);
+		});
+};
+
+/**
+ * email a user a link that clears their account's login locks (for every ip).
+ * the token goes in users.unlock_token (which never leaves the server) and is
+ * good for one use.
+ *
+ * an account getting locked from a bunch of ips would mean a bunch of emails,
+ * so we skip it if we already sent a link (users.unlock_sent) that hasn't been
+ * used and is newer than max_lock_duration.
+ */
+var send_unlock_email = function(user, limits) {
+	// NOTE: loaded here because the user model loads us
+	var user_model = require('./user');
+	var unlock_token = user_model.random_token({hash: 'sha512'});
+	// set the token and send time in one go so two ips locking the account at
+	// once can't both send
+	var qry = [
+		'UPDATE users',
+		'SET unlock_token = {{token}}, unlock_sent = NOW()',
+		'WHERE',
+		'	id = {{user_id}} AND (',
+		'		unlock_token IS NULL OR',
+		'		unlock_sent IS NULL OR',
+		'		unlock_sent < NOW() - ({{resend}}::int * INTERVAL \'1 second\')',
+		'	)',
+	].join('\n');
+	return db.query(qry, {token: unlock_token, user_id: user.id, resend: limits.max_lock_seconds})
+		.then(function(res) {
+			// already sent one
+			if(res.rowCount == 0) return;
+			var unlock_url = config.app.api_url+'/users/unlock/'+encodeURIComponent(user.username)+'/'+encodeURIComponent(unlock_token);
+			var subject = 'Your account was locked';
+			var body = [
+				'Someone (hopefully you) has been failing to log into your Turtl account, so we\'ve locked logins from their location for a while.',
+				'',
+				'If it was you, you can unlock your account here: '+unlock_url,
+				'',
+				'If it wasn\'t you, your devices that are already logged in aren\'t affected and there\'s nothing you need to do.',
+			].join('\n');
+			return email_model.send(config.app.emails.info, user.username, subject, body);
+		});
+};
+
+/**
+ * clear all of an account's login locks, given the token from their unlock
+ * email
+ */
+exports.unlock_by_email = function(email, token) {
+	var user_model = require('./user');
+	return user_model.get_by_email(email, {raw: true})
+		.then(function(user) {
+			if(!user) throw error.not_found('that email isn\'t attached to an active account');
+			if(!user.unlock_token) throw error.not_found('the account attached to that email doesn\'t have an active unlock token');
+			if(!user_model.secure_compare(user.unlock_token, token)) {
+				throw error.forbidden('the unlock token given is incorrect');
+			}
+			var qry = 'UPDATE users SET unlock_token = NULL, unlock_sent = NULL WHERE id = {{user_id}}';
+			return db.query(qry, {user_id: user.id})
+				.then(function() {
+					var qry = 'DELETE FROM login_failures WHERE id LIKE {{prefix}}';
+					return db.query(qry, {prefix: 'account:'+user.id+':%'});
+				});
+		})
+		.then(function() {
+			return true;
+		});
+};
+
+/**
+ * remove failure counts that have been quiet long enough to start over (see
+ * add_failure()), since they're just taking up space. resolves to the number
+ * of records removed.
+ *
+ * meant to be run periodically via tools/purge-login-failures.js.
+ */
+exports.purge_expired = function() {
+	var limits = get_limits();
+	var qry = [
+		'DELETE FROM login_failures',
+		'WHERE',
+		'	last_failed < NOW() - ({{reset}}::int * INTERVAL \'1 second\') AND',
+		'	(locked_until IS NULL OR locked_until < NOW())',
+	].join('\n');
+	return db.query(qry, {reset: limits.max_lock_seconds})
+		.then(function(res) {
+			return res.rowCount;
+		});
+};
@@ -6,6 +6,7 @@ var vlad = require('../helpers/validator');
 var error = require('../helpers/error');
 var config = require('../helpers/config');
 var space_model = require('./space');
+var comment_model = require('./comment');
 var file_model = require('./file');
 var analytics = require('./analytics');
 var util = require('../helpers/util');
@@ -19,6 +20,7 @@ vlad.define('note', {
 	file: {type: vlad.type.vlad('note-file')},
 	mod: {type: vlad.type.int},
 	keys: {type: vlad.type.array},
+	version: {type: vlad.type.int},
 	body: {type: vlad.type.string},
 });
 
@@ -27,8 +29,9 @@ vlad.define('note-file', {
 	body: {type: vlad.type.string},
 });
 
-var get_by_id = function(note_id) {
-	return db.by_id('notes', note_id)
+var get_by_id = function(note_id, tx) {
+	tx || (tx = db);
+	return tx.by_id('notes', note_id)
 		.then(function(note) { return note && note.data; });
 };
 exports.get_by_id = get_by_id;
@@ -71,7 +74,9 @@ exports.attach_file = function(user_id, note_id) {
 						var file = note.data.file || {};
 						file.size = file_size;
 						note.data.file = file;
-						return db.update('notes', note_id, {data: note.data});
+						var cur_version = sync_model.bump_version('note', note.data, note.data);
+						return db.update('notes', note_id, {data: note.data}, {version: cur_version})
+							.then(sync_model.ensure_versioned_update('note', note_id, get_by_id));
 					})
 					.then(function() {
 						return space_model.get_space_user_ids(space_id);
@@ -146,6 +151,7 @@ var edit = space_model.simple_edit(
 		return {id: data.id, space_id: data.space_id, board_id: data.board_id, data: db.json(data)};
 	}
 );
+exports.edit_note = edit;
 
 var delete_note = space_model.simple_delete(
 	'note',
@@ -154,23 +160,26 @@ var delete_note = space_model.simple_delete(
 	get_by_id
 );
 
-// wrap `delete_note`/simple_delete to also remove the note's file AND create a
-// corresponding file.delete sync record
-var del = function(user_id, note_id) {
+// wrap `delete_note`/simple_delete to also create a file.delete sync record for
+// the note's file, and to trash the note's comments along with it
+var del = function(user_id, note_id, tx) {
 	var sync_ids = [];
 	var note = null;
-	return get_by_id(note_id)
+	return get_by_id(note_id, tx)
 		.then(function(_note) {
 			note = _note;
-			return delete_note(user_id, note_id);
+			return delete_note(user_id, note_id, tx);
 		})
 		.then(function(_sync_ids) {
 			sync_ids = _sync_ids;
 			if(!note) throw error.promise_throw('doesnt_exist');
-			return delete_note_file_sync(user_id, note.space_id, note_id);
+			return Promise.all([
+				delete_note_file_sync(user_id, note.space_id, note_id, tx),
+				comment_model.trash_by_note(user_id, note_id, note.space_id, tx),
+			]);
 		})
 		.then(function(delete_sync_ids) {
-			return sync_ids.concat(delete_sync_ids || []);
+			return sync_ids.concat(util.flatten(delete_sync_ids));
 		})
 		.catch(error.promise_catch('doesnt_exist'), function() {
 			return sync_ids;
@@ -183,7 +192,12 @@ var move_space = space_model.simple_move_space(
 	'notes',
 	space_model.permissions.delete_note,
 	space_model.permissions.add_note,
-	get_by_id
+	get_by_id,
+	function(user_id, item, old_space_id, new_space_id, tx) {
+		// comments are encrypted with the old space's key, so members of the
+		// new space couldn't read them anyway. get rid of them.
+		return comment_model.delete_by_note(user_id, item.id, old_space_id, tx);
+	}
 );
 
 var link = function(ids) {
@@ -194,18 +208,19 @@ var link = function(ids) {
 };
 
 /**
- * delete a note's file, no permission checks or note editing. this is mainly
- * called when a note is being deleted and we want to a) delete the note's file
- * along with the note and b) create a `file.delete` sync record so the client
- * doesn't have to manage creating sync records for child objects.
+ * create a `file.delete` sync record for a note that's being deleted so the
+ * client doesn't have to manage creating sync records for child objects. no
+ * permission checks or note editing.
+ *
+ * the file itself is left alone: the note is sitting in the trash, and the
+ * file gets removed along with it when the trash is purged (see
+ * models/trash.js).
  */
-var delete_note_file_sync = function(user_id, space_id, note_id) {
-	return file_model.delete_attachment(note_id)
-		.then(function() {
-			return space_model.get_space_user_ids(space_id);
-		})
+var delete_note_file_sync = function(user_id, space_id, note_id, tx) {
+	tx || (tx = db);
+	return space_model.get_space_user_ids(space_id, tx)
 		.then(function(user_ids) {
-			return sync_model.add_record(user_ids, user_id, 'file', note_id, 'delete');
+			return sync_model.add_record(user_ids, user_id, 'file', note_id, 'delete', tx);
 		});
 };
 
@@ -213,30 +228,34 @@ var delete_note_file_sync = function(user_id, space_id, note_id) {
  * delete a note's file, meant to be called from the sync system. this does NOT
  * create a file.delete sync record because that sync record already exists =]
  */
-var delete_note_file = function(user_id, note_id) {
-	return db.by_id('notes', note_id)
+var delete_note_file = function(user_id, note_id, tx) {
+	tx || (tx = db);
+	return tx.by_id('notes', note_id)
 		.tap(function(note) {
 			if(!note) throw error.promise_throw('missing_note');
-			return space_model.permissions_check(user_id, note.space_id, space_model.permissions.edit_note);
+			return space_model.permissions_check(user_id, note.space_id, space_model.permissions.edit_note, tx);
 		})
 		.tap(function(note) {
 			var data = note.data || {};
 			if(!data.has_file) error.promise_throw('missing_file');
-			return file_model.delete_attachment(note_id);
-		})
-		.tap(function(note) {
 			// remove the attachment from data
-			var data = note.data || {};
 			data.has_file = false;
 			delete data.file;
-			return db.update('notes', note_id, {data: data});
+			var cur_version = sync_model.bump_version('note', data, data);
+			return tx.update('notes', note_id, {data: data}, {version: cur_version})
+				.then(sync_model.ensure_versioned_update('note', note_id, get_by_id, tx));
 		})
 		.then(function(note) {
-			return space_model.get_space_user_ids(note.space_id)
+			return space_model.get_space_user_ids(note.space_id, tx)
 				.then(function(user_ids) {
-					return sync_model.add_record(user_ids, user_id, 'note', note.id, 'edit');
+					return sync_model.add_record(user_ids, user_id, 'note', note.id, 'edit', tx);
 				});
 		})
+		.tap(function() {
+			return tx.on_commit(function() {
+				return file_model.delete_attachment(note_id);
+			});
+		})
 		.catch(error.promise_catch('missing_note'), function(err) { return []; })
 		.catch(error.promise_catch('missing_file'), function(err) { return []; });
 };
@@ -0,0 +1,243 @@
+"use strict";
+
+/**
+ * Keeps old copies of notes/boards around whenever they're edited, so a user
+ * who clobbers a note from an out-of-date device can get their work back. We
+ * never see what's inside the (encrypted) data, we just hang onto the blobs.
+ */
+
+var db = require('../helpers/db');
+var Promise = require('bluebird');
+var error = require('../helpers/error');
+var config = require('../helpers/config');
+var space_model = require('./space');
+
+// used if config.revisions doesn't say otherwise
+const DEFAULT_MAX_PER_ITEM = 20;
+const DEFAULT_MAX_AGE_DAYS = 90;
+
+// the item types we keep revisions for
+const TYPES = ['note', 'board'];
+
+// when restoring, these fields come from the item as it is now, not from the
+// revision. they describe where the item lives/what's attached to it, not its
+// content, and the world may have moved on since the revision was made.
+const PRESERVE_FIELDS = ['space_id', 'board_id', 'has_file', 'file'];
+
+var get_limits = function() {
+	var rev_config = config.revisions || {};
+	var max_per_item = parseInt(rev_config.max_per_item);
+	var max_age_days = parseInt(rev_config.max_age_days);
+	return {
+		max_per_item: isNaN(max_per_item) ? DEFAULT_MAX_PER_ITEM : max_per_item,
+		max_age_days: isNaN(max_age_days) ? DEFAULT_MAX_AGE_DAYS : max_age_days,
+	};
+};
+
+/**
+ * grab the model functions we need for a given item type.
+ *
+ * NOTE: we load the models in here because they require the space model,
+ * which requires us.
+ */
+var get_item_model = function(type) {
+	switch(type) {
+		case 'note':
+			var note_model = require('./note');
+			return {get_by_id: note_model.get_by_id, edit: note_model.edit_note};
+		case 'board':
+			var board_model = require('./board');
+			return {get_by_id: board_model.get_by_id, edit: board_model.edit_board};
+	}
+	return null;
+};
+
+var clean = function(revision, options) {
+	options || (options = {});
+	var rev = {
+		id: revision.id,
+		item_id: revision.item_id,
+		type: revision.type,
+		version: revision.version,
+		replaced_by: revision.replaced_by,
+		created: revision.created,
+	};
+	if(options.data) rev.data = revision.data;
+	return rev;
+};
+
+/**
+ * save a copy of an item's data (as it was before an edit). `user_id` is the
+ * user whose edit replaced it.
+ */
+exports.save = function(type, item_data, user_id, tx) {
+	tx || (tx = db);
+	var limits = get_limits();
+	if(limits.max_per_item < 1) return Promise.resolve();
+	// no sense keeping revisions we can't restore
+	if(TYPES.indexOf(type) < 0) return Promise.resolve();
+	var rec = {
+		item_id: item_data.id,
+		type: type,
+		space_id: item_data.space_id,
+		version: item_data.version || 1,
+		replaced_by: user_id,
+		data: db.json(item_data),
+	};
+	return tx.insert('revisions', rec)
+		.then(function() {
+			return exports.trim(type, item_data.id, tx);
+		});
+};
+
+/**
+ * remove revisions for an item that are over our count/age limits
+ */
+exports.trim = function(type, item_id, tx) {
+	tx || (tx = db);
+	var limits = get_limits();
+	var where_old = [
+		'id NOT IN (',
+		'	SELECT id FROM revisions',
+		'	WHERE type = {{type}} AND item_id = {{item_id}}',
+		'	ORDER BY id DESC',
+		'	LIMIT {{max_per_item}}',
+		')',
+	];
+	if(limits.max_age_days > 0) {
+		where_old.push('OR created < NOW() - ({{max_age_days}}::int * INTERVAL \'1 day\')');
+	}
+	var qry = [
+		'DELETE FROM revisions',
+		'WHERE',
+		'	type = {{type}} AND',
+		'	item_id = {{item_id}} AND',
+		'	('+where_old.join(' ')+')',
+	].join('\n');
+	return tx.query(qry, {
+		type: type,
+		item_id: item_id,
+		max_per_item: Math.max(limits.max_per_item, 0),
+		max_age_days: limits.max_age_days,
+	});
+};
+
+/**
+ * remove all revisions for an item (say, because it was deleted)
+ */
+exports.purge = function(type, item_id, tx) {
+	tx || (tx = db);
+	var qry = 'DELETE FROM revisions WHERE type = {{type}} AND item_id = {{item_id}}';
+	return tx.query(qry, {type: type, item_id: item_id});
+};
+
+/**
+ * load an item and make sure the user can see it
+ */
+var get_item_checked = function(user_id, type, item_id) {
+	var item_model = get_item_model(type);
+	if(!item_model) return Promise.reject(error.bad_request('revisions aren\'t kept for `'+type+'` items'));
+	var item = null;
+	return item_model.get_by_id(item_id)
+		.then(function(_item) {
+			item = _item;
+			if(!item) throw error.not_found(type+' '+item_id+' does not exist');
+			return space_model.user_is_in_space(user_id, item.space_id);
+		})
+		.then(function(space_user) {
+			if(!space_user) throw error.forbidden('you don\'t have access to space '+item.space_id);
+			return item;
+		});
+};
+
+/**
+ * list the revisions we have for an item, newest first. doesn't include the
+ * revision data itself (see get()).
+ *
+ * only revisions made in the space the item is in now are visible. older ones
+ * (from before a move) hold content (and keys) from a space the user may never
+ * have been in.
+ */
+exports.list = function(user_id, type, item_id) {
+	return get_item_checked(user_id, type, item_id)
+		.then(function(item) {
+			var qry = [
+				'SELECT id, item_id, type, version, replaced_by, created',
+				'FROM revisions',
+				'WHERE type = {{type}} AND item_id = {{item_id}} AND space_id = {{space_id}}',
+				'ORDER BY id DESC',
+			].join('\n');
+			return db.query(qry, {type: type, item_id: item_id, space_id: item.space_id});
+		})
+		.then(function(revisions) {
+			return revisions.map(function(rev) { return clean(rev); });
+		});
+};
+
+/**
+ * grab a revision of an item, as long as it was made in `space_id` (the space
+ * the item is in now, see list())
+ */
+var get_revision = function(type, item_id, space_id, revision_id) {
+	var qry = [
+		'SELECT * FROM revisions',
+		'WHERE',
+		'	id = {{id}} AND',
+		'	type = {{type}} AND',
+		'	item_id = {{item_id}} AND',
+		'	space_id = {{space_id}}',
+	].join('\n');
+	return db.first(qry, {id: revision_id, type: type, item_id: item_id, space_id: space_id})
+		.then(function(revision) {
+			if(!revision) throw error.not_found('revision '+revision_id+' does not exist');
+			return revision;
+		});
+};
+
+/**
+ * get one revision of an item, data and all
+ */
+exports.get = function(user_id, type, item_id, revision_id) {
+	return get_item_checked(user_id, type, item_id)
+		.then(function(item) {
+			return get_revision(type, item_id, item.space_id, revision_id);
+		})
+		.then(function(revision) {
+			return clean(revision, {data: true});
+		});
+};
+
+/**
+ * restore an item to a previous revision. this is just a normal edit of the
+ * item (permissions, sync records, and all) using the revision's data, which
+ * also means the pre-restore data is saved as a revision in case the user
+ * changes their mind.
+ *
+ * resolves to the item's new data, with the resulting sync_ids attached.
+ */
+exports.restore = function(user_id, type, item_id, revision_id) {
+	var item_model = get_item_model(type);
+	return get_item_checked(user_id, type, item_id)
+		.then(function(current) {
+			return Promise.all([
+				current,
+				get_revision(type, item_id, current.space_id, revision_id),
+			]);
+		})
+		.spread(function(current, revision) {
+			var data = revision.data;
+			PRESERVE_FIELDS.forEach(function(field) {
+				if(current[field] === undefined) delete data[field];
+				else data[field] = current[field];
+			});
+			data.version = current.version || 1;
+			return db.transaction(function(tx) {
+				return item_model.edit(user_id, data, tx);
+			});
+		})
+		.then(function(item) {
+			var data = item.data;
+			data.sync_ids = item.sync_ids;
+			return data;
+		});
+};
@@ -0,0 +1,160 @@
+"use strict";
+
+/**
+ * Token-based sessions. Checking a user's Basic auth means a pbkdf2 and a
+ * couple of queries, which is a lot to do for every sync poll, so clients can
+ * trade their Basic auth for a session token (POST /auth?session=1) and send
+ * that (as `Authorization: Bearer <token>`) from then on.
+ *
+ * A token looks like `<session_id>.<expires>.<signature>`, where the signature
+ * is an HMAC (keyed with our secure_hash_salt) of the rest of the token. This
+ * lets us throw out forged/expired tokens without touching the db at all. Good
+ * tokens still need their session to exist, which is how logging out works.
+ */
+
+var db = require('../helpers/db');
+var Promise = require('bluebird');
+var crypto = require('crypto');
+var config = require('../helpers/config');
+var salt = require('../helpers/salt');
+var error = require('../helpers/error');
+var user_model = require('./user');
+var device_model = require('./device');
+
+// used if config.app.sessions doesn't say otherwise
+const DEFAULT_LIFETIME_DAYS = 30;
+// we don't need the whole user agent novel
+const MAX_CLIENT_LENGTH = 128;
+
+var get_lifetime_days = function() {
+	var days = parseFloat((config.app.sessions || {}).lifetime_days);
+	return isNaN(days) || days <= 0 ? DEFAULT_LIFETIME_DAYS : days;
+};
+
+var sign = function(payload, app_salt) {
+	return crypto.createHmac('sha256', app_salt || salt.current())
+		.update(payload)
+		.digest('hex');
+};
+
+var make_token = function(session_id, expires) {
+	var payload = session_id+'.'+Math.floor(expires.getTime() / 1000);
+	return payload+'.'+sign(payload);
+};
+
+/**
+ * check a token's signature and expiration. returns the session id if the
+ * token is good, otherwise null. tokens signed with any of our salts (not just
+ * the current one) are good, so rotating the salt doesn't log everyone out.
+ */
+var parse_token = function(token) {
+	var parts = (token || '').split('.');
+	if(parts.length != 3) return null;
+	var payload = parts[0]+'.'+parts[1];
+	var given = Buffer.from(parts[2], 'utf8');
+	var signed = salt.all().some(function(app_salt) {
+		var expected = Buffer.from(sign(payload, app_salt), 'utf8');
+		return given.length == expected.length && crypto.timingSafeEqual(given, expected);
+	});
+	if(!signed) return null;
+	var expires = parseInt(parts[1]) * 1000;
+	if(isNaN(expires) || expires < new Date().getTime()) return null;
+	return parts[0];
+};
+
+var clean = function(session) {
+	return {
+		id: session.id,
+		client: session.client,
+		device_id: session.device_id,
+		ip: session.ip,
+		expires: session.expires,
+		created: session.created,
+	};
+};
+
+/**
+ * start a new session for a user. `info` can have the client, device_id, and
+ * ip the session is being created from (so the user can tell their sessions
+ * apart later). device ids that device_model wouldn't keep track of are
+ * dropped. resolves to the session, with its `token` attached.
+ *
+ * also cleans out any of the user's sessions that have expired.
+ */
+exports.create = function(user_id, info) {
+	info || (info = {});
+	var expires = new Date(new Date().getTime() + (get_lifetime_days() * 86400 * 1000));
+	var session = {
+		id: crypto.randomBytes(24).toString('hex'),
+		user_id: user_id,
+		client: info.client ? info.client.toString().substr(0, MAX_CLIENT_LENGTH) : null,
+		device_id: device_model.is_valid_id(info.device_id) ? info.device_id : null,
+		ip: info.ip || null,
+		expires: expires,
+	};
+	var qry = 'DELETE FROM sessions WHERE user_id = {{user_id}} AND expires < NOW()';
+	return db.query(qry, {user_id: user_id})
+		.then(function() {
+			return db.insert('sessions', session);
+		})
+		.then(function(session) {
+			var data = clean(session);
+			data.token = make_token(session.id, expires);
+			return data;
+		});
+};
+
+/**
+ * given a session token, grab the user it belongs to (minus any sensitive
+ * fields, same as user_model.check_auth()). the session's id is attached to
+ * the user as `session_id`.
+ */
+exports.check_token = function(token) {
+	var session_id = parse_token(token);
+	if(!session_id) return Promise.reject(error.unauthorized('bad or expired session'));
+	var qry = [
+		'SELECT u.*',
+		'FROM sessions s, users u',
+		'WHERE',
+		'	s.id = {{session_id}} AND',
+		'	s.expires > NOW() AND',
+		'	u.id = s.user_id',
+	].join('\n');
+	return db.first(qry, {session_id: session_id})
+		.then(function(user) {
+			if(!user) throw error.unauthorized('bad or expired session');
+			if(!user.active) throw error.forbidden('user inactive');
+			user = user_model.clean_user(user);
+			user.session_id = session_id;
+			return user;
+		});
+};
+
+/**
+ * list a user's active sessions, newest first
+ */
+exports.get_by_user_id = function(user_id) {
+	var qry = 'SELECT * FROM sessions WHERE user_id = {{user_id}} AND expires > NOW() ORDER BY created DESC';
+	return db.query(qry, {user_id: user_id})
+		.then(function(sessions) {
+			return sessions.map(clean);
+		});
+};
+
+/**
+ * log out of one session
+ */
+exports.delete = function(user_id, session_id) {
+	var qry = 'DELETE FROM sessions WHERE id = {{session_id}} AND user_id = {{user_id}}';
+	return db.query(qry, {session_id: session_id, user_id: user_id})
+		.then(function() { return true; });
+};
+
+/**
+ * log out of every session a user has
+ */
+exports.delete_all = function(user_id) {
+	var qry = 'DELETE FROM sessions WHERE user_id = {{user_id}}';
+	return db.query(qry, {user_id: user_id})
+		.then(function() { return true; });
+};
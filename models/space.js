@@ -8,12 +8,15 @@ var keychain_model = require('./keychain');
 var vlad = require('../helpers/validator');
 var error = require('../helpers/error');
 var invite_model = require('./invite');
+var revision_model = require('./revision');
+var trash_model = require('./trash');
 var util = require('../helpers/util');
 var libperm = require('turtl-lib-permissions');
 
 vlad.define('space', {
 	id: {type: vlad.type.client_id, required: true},
 	user_id: {type: vlad.type.int, required: true},
+	version: {type: vlad.type.int},
 	body: {type: vlad.type.string},
 });
 
@@ -33,8 +36,8 @@ exports.roles = roles;
  * function throws a forbidden error if the user doesn't have access. if you
  * want a boolean yes/no, see user_has_permission()
  */
-exports.permissions_check = function(user_id, space_id, permission) {
-	return get_space_user_record(user_id, space_id)
+exports.permissions_check = function(user_id, space_id, permission, tx) {
+	return get_space_user_record(user_id, space_id, tx)
 		.then(function(space_user) {
 			if(!space_user) throw error.forbidden('you don\'t have access to space '+space_id);
 			var role = space_user.role;
@@ -47,8 +50,8 @@ exports.permissions_check = function(user_id, space_id, permission) {
 /**
  * wraps permissions_check, and catches errors to return a boolean true/false
  */
-exports.user_has_permission = function(user_id, space_id, permission) {
-	return exports.permissions_check(user_id, space_id, permission)
+exports.user_has_permission = function(user_id, space_id, permission, tx) {
+	return exports.permissions_check(user_id, space_id, permission, tx)
 		.then(function() {
 			return true;
 		})
@@ -63,8 +66,8 @@ exports.user_has_permission = function(user_id, space_id, permission) {
  * to the space can READ anything in the space, regardless of permissions (ie,
  * guest permissions).
  */
-exports.user_is_in_space = function(user_id, space_id) {
-	return get_space_user_record(user_id, space_id);
+exports.user_is_in_space = function(user_id, space_id, tx) {
+	return get_space_user_record(user_id, space_id, tx);
 };
 
 /**
@@ -97,13 +100,14 @@ exports.member_exists = function(space_id, email) {
 var populate_members = function(spaces, options) {
 	options || (options = {});
 	var skip_invites = options.skip_invites;
+	var tx = options.tx || db;
 
 	if(spaces.length == 0) return Promise.resolve(spaces);
 	var space_ids = spaces.map(function(s) { return s.id; });
-	var member_promise = db.by_ids('spaces_users', space_ids, {id_field: 'space_id'})
+	var member_promise = tx.by_ids('spaces_users', space_ids, {id_field: 'space_id'})
 		.then(function(members) {
 			var user_ids = members.map(function(m) { return m.user_id; });
-			return user_model.get_by_ids(user_ids)
+			return user_model.get_by_ids(user_ids, {tx: tx})
 				.then(function(users) {
 					var user_idx = {};
 					users.forEach(function(u) { user_idx[u.id] = u; });
@@ -119,7 +123,7 @@ var populate_members = function(spaces, options) {
 		});
 	var invite_promise = skip_invites ?
 		Promise.resolve([]) :
-		invite_model.get_by_spaces_ids(space_ids);
+		invite_model.get_by_spaces_ids(space_ids, tx);
 	var promises = [
 		member_promise,
 		invite_promise,
@@ -152,11 +156,12 @@ var populate_members = function(spaces, options) {
  */
 var get_by_id = function(space_id, options) {
 	options || (options = {});
-	return db.by_id('spaces', space_id)
+	var tx = options.tx || db;
+	return tx.by_id('spaces', space_id)
 		.then(function(space) {
 			if(!space) return false;
 			if(options.populate) {
-				return populate_members([space])
+				return populate_members([space], {tx: tx})
 					.then(function(spaces) { return spaces[0]; });
 			}
 			if(options.raw) return space;
@@ -170,9 +175,10 @@ exports.get_by_id = get_by_id;
  *
  * this is GREAT for generating sync records for boards/notes/invites
  */
-exports.get_space_user_ids = function(space_id) {
+exports.get_space_user_ids = function(space_id, tx) {
+	tx || (tx = db);
 	var qry = 'SELECT user_id FROM spaces_users WHERE space_id = {{space_id}}';
-	return db.query(qry, {space_id: space_id})
+	return tx.query(qry, {space_id: space_id})
 		.then(function(res) {
 			return res.map(function(rec) { return rec.user_id; });
 		});
@@ -181,7 +187,8 @@ exports.get_space_user_ids = function(space_id) {
 /**
  * Given a user id, grab all users attached to the spaces that user is in.
  */
-exports.get_members_from_users_spaces = function(user_id) {
+exports.get_members_from_users_spaces = function(user_id, tx) {
+	tx || (tx = db);
 	var qry = [
 		'SELECT',
 		'	su.user_id, su.space_id',
@@ -190,7 +197,7 @@ exports.get_members_from_users_spaces = function(user_id) {
 		'WHERE',
 		'	su.space_id IN (SELECT su2.space_id FROM spaces_users su2 WHERE su2.user_id = {{user_id}})',
 	];
-	return db.query(qry.join('\n'), {user_id: user_id});
+	return tx.query(qry.join('\n'), {user_id: user_id});
 };
 
 /**
@@ -218,28 +225,32 @@ exports.get_by_user_id = function(user_id, options) {
 		.then(populate_members);
 };
 
-exports.create_space_user_record = function(space_id, user_id, role) {
-	return db.insert('spaces_users', {space_id: space_id, user_id: user_id, role: role});
+exports.create_space_user_record = function(space_id, user_id, role, tx) {
+	tx || (tx = db);
+	return tx.insert('spaces_users', {space_id: space_id, user_id: user_id, role: role});
 };
 
 /**
  * get a space <--> user link record (which includes the space-user permissions)
  */
-var get_space_user_record = function(user_id, space_id) {
+var get_space_user_record = function(user_id, space_id, tx) {
+	tx || (tx = db);
 	var qry = 'SELECT * FROM spaces_users WHERE space_id = {{space_id}} AND user_id = {{user_id}}';
-	return db.first(qry, {space_id: space_id, user_id: user_id});
+	return tx.first(qry, {space_id: space_id, user_id: user_id});
 };
 
 /**
  * Get all invite records for this space
  */
-var get_space_invites = function(space_id) {
+var get_space_invites = function(space_id, tx) {
+	tx || (tx = db);
 	var qry = 'SELECT * FROM spaces_invites WHERE space_id = {{space_id}}';
-	return db.query(qry, {space_id: space_id});
+	return tx.query(qry, {space_id: space_id});
 };
 
 /**
- * get the data tree for a space (all the boards/notes/invites contained in it).
+ * get the data tree for a space (all the boards/notes/comments/invites contained
+ * in it).
  */
 exports.get_data_tree = function(space_id, options) {
 	options || (options = {});
@@ -251,6 +262,7 @@ exports.get_data_tree = function(space_id, options) {
 	// -------------------------------------------------------------------------
 	var board_model = require('./board');
 	var note_model = require('./note');
+	var comment_model = require('./comment');
 	// -------------------------------------------------------------------------
 
 	var space_promise = get_by_id(space_id, {raw: true})
@@ -265,6 +277,7 @@ exports.get_data_tree = function(space_id, options) {
 		space_promise,
 		board_model.get_by_space_id(space_id),
 		note_model.get_by_space_id(space_id),
+		comment_model.get_by_space_id(space_id),
 	])
 };
 
@@ -304,33 +317,40 @@ exports.update_member = function(user_id, space_id, member_user_id, data) {
 		})
 };
 
+/**
+ * remove a member from a space (or leave it, if it's you). runs in its own
+ * transaction so the remaining members' and the removed member's sync records
+ * get written together.
+ */
 exports.delete_member = function(user_id, space_id, member_user_id) {
-	return exports.user_has_permission(user_id, space_id, permissions.delete_space_member)
-		.then(function(has_perm) {
-			if(!has_perm && user_id != member_user_id) {
-				throw error.forbidden('you do not have permission to remove that user');
-			}
-			return get_space_user_record(member_user_id, space_id);
-		})
-		.then(function(member) {
-			if(member.role == roles.owner) {
-				throw error.bad_request('you cannot delete the owner');
-			}
-			return db.delete('spaces_users', member.id);
-		})
-		.then(function() {
-			return exports.get_space_user_ids(space_id)
-				.then(function(user_ids) {
-					return Promise.all([
-						keychain_model.delete_by_user_item(member_user_id, space_id),
-						sync_model.add_record(user_ids, user_id, 'space', space_id, 'edit'),
-						sync_model.add_record([member_user_id], user_id, 'space', space_id, 'unshare'),
-					]);
-				})
-		})
-		.then(function(sync_ids) {
-			return {sync_ids: util.flatten(sync_ids)};
-		});
+	return db.transaction(function(tx) {
+		return exports.user_has_permission(user_id, space_id, permissions.delete_space_member, tx)
+			.then(function(has_perm) {
+				if(!has_perm && user_id != member_user_id) {
+					throw error.forbidden('you do not have permission to remove that user');
+				}
+				return get_space_user_record(member_user_id, space_id, tx);
+			})
+			.then(function(member) {
+				if(member.role == roles.owner) {
+					throw error.bad_request('you cannot delete the owner');
+				}
+				return tx.delete('spaces_users', member.id);
+			})
+			.then(function() {
+				return exports.get_space_user_ids(space_id, tx)
+					.then(function(user_ids) {
+						return Promise.all([
+							keychain_model.delete_by_user_item(member_user_id, space_id, {tx: tx}),
+							sync_model.add_record(user_ids, user_id, 'space', space_id, 'edit', tx),
+							sync_model.add_record([member_user_id], user_id, 'space', space_id, 'unshare', tx),
+						]);
+					})
+			})
+			.then(function(sync_ids) {
+				return {sync_ids: util.flatten(sync_ids)};
+			});
+	});
 };
 
 exports.set_owner = function(user_id, space_id, new_user_id) {
@@ -372,51 +392,60 @@ exports.set_owner = function(user_id, space_id, new_user_id) {
 		});
 };
 
-var add = function(user_id, data) {
+var add = function(user_id, data, tx) {
+	tx || (tx = db);
 	data.user_id = user_id;
 	data = vlad.validate('space', data);
-	return db.upsert('spaces', {id: data.id, data: data}, 'id')
+	data.version = 1;
+	return tx.upsert('spaces', {id: data.id, data: data}, 'id', {versioned: true})
 		.tap(function(space) {
-			return exports.create_space_user_record(space.id, user_id, roles.owner);
+			return exports.create_space_user_record(space.id, user_id, roles.owner, tx);
 		})
 		.tap(function(space) {
-			return sync_model.add_record([user_id], user_id, 'space', space.id, 'add')
+			return sync_model.add_record([user_id], user_id, 'space', space.id, 'add', tx)
 				.then(function(sync_ids) {
 					space.sync_ids = sync_ids;
 				});
 		})
 		.tap(function(space) {
-			return populate_members([space]);
+			return populate_members([space], {tx: tx});
 		});
 };
 
-var edit = function(user_id, data) {
+var edit = function(user_id, data, tx) {
+	tx || (tx = db);
 	var space_id = data.id;
 	data = vlad.validate('space', data);
-	return exports.permissions_check(user_id, space_id, permissions.edit_space)
+	var get_current = function(space_id) {
+		return get_by_id(space_id, {tx: tx});
+	};
+	return exports.permissions_check(user_id, space_id, permissions.edit_space, tx)
 		.then(function(_) {
-			return get_by_id(space_id)
+			return get_current(space_id)
 				.then(function(space_data) {
 					// preserve user_id
 					data.user_id = space_data.user_id;
-					return db.update('spaces', space_id, {data: data});
+					var cur_version = sync_model.bump_version('space', data, space_data);
+					return tx.update('spaces', space_id, {data: data}, {version: cur_version})
+						.then(sync_model.ensure_versioned_update('space', space_id, get_current));
 				});
 		})
 		.tap(function(space) {
-			return exports.get_space_user_ids(space_id)
+			return exports.get_space_user_ids(space_id, tx)
 				.then(function(user_ids) {
-					return sync_model.add_record(user_ids, user_id, 'space', space_id, 'edit');
+					return sync_model.add_record(user_ids, user_id, 'space', space_id, 'edit', tx);
 				})
 				.then(function(sync_ids) {
 					space.sync_ids = sync_ids;
 				});
 		})
 		.tap(function(space) {
-			return populate_members([space]);
+			return populate_members([space], {tx: tx});
 		});
 };
 
-var del = function(user_id, space_id) {
+var del = function(user_id, space_id, tx) {
+	tx || (tx = db);
 	// -------------------------------------------------------------------------
 	// NOTE: we load our models inside this function because they both require
 	// some function defined below here, and i'm certainly not going to put the
@@ -426,78 +455,92 @@ var del = function(user_id, space_id) {
 	const note_model = require('./note');
 	// -------------------------------------------------------------------------
 	var affected_users = null;
-	return get_by_id(space_id, {raw: true})
+	var child_ids = [];
+	return get_by_id(space_id, {raw: true, tx: tx})
 		.then(function(space_exists) {
 			if(!space_exists) error.promise_throw('space_missing');
-			return exports.permissions_check(user_id, space_id, permissions.delete_space);
+			return exports.permissions_check(user_id, space_id, permissions.delete_space, tx);
 		})
 		.tap(function() {
-			return exports.get_space_user_ids(space_id)
+			return exports.get_space_user_ids(space_id, tx)
 				.then(function(user_ids) { affected_users = user_ids; });
 		})
+		.tap(function() {
+			// snapshot the space (and its members/invites/keys) before we start
+			// tearing it down, so it can be restored from the trash
+			return trash_model.trash_space(space_id, user_id, tx);
+		})
 		.then(function(_) {
 			var params = {space_id: space_id};
 			return Promise.all([
-				db.query('SELECT id FROM notes WHERE space_id = {{space_id}}', params),
-				db.query('SELECT id FROM boards WHERE space_id = {{space_id}}', params),
+				tx.query('SELECT id FROM notes WHERE space_id = {{space_id}}', params),
+				tx.query('SELECT id FROM boards WHERE space_id = {{space_id}}', params),
 			]);
 		})
 		.spread(function(note_ids, board_ids) {
+			child_ids = note_ids.concat(board_ids).map(function(item) { return item.id; });
 			var note_delete = Promise.map(note_ids, function(note) {
-				return note_model.delete_note(user_id, note.id);
+				return note_model.delete_note(user_id, note.id, tx);
 			}, {concurrency: 8});
 			var board_delete = Promise.map(board_ids, function(board) {
-				return board_model.delete_board(user_id, board.id);
+				return board_model.delete_board(user_id, board.id, tx);
 			}, {concurrency: 8});
 			return Promise.all([note_delete, board_delete]);
 		})
+		.then(function() {
+			return trash_model.mark_deleted_with(space_id, child_ids, tx);
+		})
+		.then(function() {
+			// anything registered by plugins goes into the space's trash entry
+			return trash_model.trash_registered_items(user_id, space_id, tx);
+		})
 		.then(function() {
 			// build/save sync records for all our deleted invites
 			var inv_map = {};
-			return get_space_invites(space_id)
+			return get_space_invites(space_id, tx)
 				.then(function(invites) {
 					let usernames = invites.map(function(i) {
 						inv_map[i.to_user] = i;
 						return i.to_user;
 					});
-					return user_model.get_by_emails(usernames);
+					return user_model.get_by_emails(usernames, tx);
 				})
 				.then(function(users) {
 					return Promise.all(users.map(function(u) {
-						return sync_model.add_record([u.id], user_id, 'invite', inv_map[u.username].id, 'delete');
+						return sync_model.add_record([u.id], user_id, 'invite', inv_map[u.username].id, 'delete', tx);
 					}));
 				});
 		})
 		.then(function() {
 			// build/save sync records for all our deleted members
-			return exports.get_space_user_ids(space_id)
+			return exports.get_space_user_ids(space_id, tx)
 				.then(function(space_user_ids) {
-					return sync_model.add_record(space_user_ids, user_id, 'space', space_id, 'unshare');
+					return sync_model.add_record(space_user_ids, user_id, 'space', space_id, 'unshare', tx);
 				});
 		})
 		.then(function() {
 			var params = {space_id: space_id};
 			return Promise.all([
-				db.query('DELETE FROM spaces_users WHERE space_id = {{space_id}}', params),
-				db.query('DELETE FROM spaces_invites WHERE space_id = {{space_id}}', params),
+				tx.query('DELETE FROM spaces_users WHERE space_id = {{space_id}}', params),
+				tx.query('DELETE FROM spaces_invites WHERE space_id = {{space_id}}', params),
 			]);
 		})
 		.then(function(_) {
-			return db.delete('spaces', space_id);
+			return tx.delete('spaces', space_id);
 		})
 		.then(function() {
 			// remove the keychain entries pointing to this space, and make sure
 			// we sync out to the restecpive owners
-			return keychain_model.get_by_item_id(space_id)
+			return keychain_model.get_by_item_id(space_id, tx)
 				.map(function(entry) {
-					return db.delete('keychain', entry.id)
+					return tx.delete('keychain', entry.id)
 						.then(function() {
-							return sync_model.add_record([entry.user_id], user_id, 'keychain', entry.id, 'delete');
+							return sync_model.add_record([entry.user_id], user_id, 'keychain', entry.id, 'delete', tx);
 						});
 				});
 		})
 		.then(function() {
-			return sync_model.add_record(affected_users, user_id, 'space', space_id, 'delete')
+			return sync_model.add_record(affected_users, user_id, 'space', space_id, 'delete', tx);
 		})
 		.catch(error.promise_catch('space_missing'), function() {
 			// silently ignore deleting something that doesn't exist.
@@ -522,18 +565,20 @@ var link = function(ids) {
  * sync records.
  */
 exports.simple_add = function(sync_type, sync_table, sync_permission, make_item_fn) {
-	return function(user_id, data) {
+	return function(user_id, data, tx) {
+		tx || (tx = db);
 		data.user_id = user_id;
 		data = vlad.validate(sync_type, data);
+		data.version = 1;
 		var space_id = data.space_id;
-		return exports.permissions_check(user_id, space_id, sync_permission)
+		return exports.permissions_check(user_id, space_id, sync_permission, tx)
 			.then(function(_) {
-				return db.upsert(sync_table, make_item_fn(data), 'id');
+				return tx.upsert(sync_table, make_item_fn(data), 'id', {versioned: true});
 			})
 			.tap(function(item) {
-				return exports.get_space_user_ids(space_id)
+				return exports.get_space_user_ids(space_id, tx)
 					.then(function(user_ids) {
-						return sync_model.add_record(user_ids, user_id, sync_type, item.id, 'add');
+						return sync_model.add_record(user_ids, user_id, sync_type, item.id, 'add', tx);
 					})
 					.then(function(sync_ids) {
 						item.sync_ids = sync_ids;
@@ -545,11 +590,13 @@ exports.simple_add = function(sync_type, sync_table, sync_permission, make_item_
 /**
  * Abstracts editing a specific object type in a space. Handles validation,
  * updating, permissions checks, and creation of the corresponding sync records.
+ * The data being replaced is saved as a revision (see models/revision.js).
  */
 exports.simple_edit = function(sync_type, sync_table, sync_permission, get_by_id, make_item_fn) {
-	return function(user_id, data) {
+	return function(user_id, data, tx) {
+		tx || (tx = db);
 		data = vlad.validate(sync_type, data);
-		return get_by_id(data.id)
+		return get_by_id(data.id, tx)
 			.then(function(item_data) {
 				if(!item_data) throw error.not_found(sync_type+' '+data.id+' does not exist');
 				// preserve user_id/space_id
@@ -559,15 +606,20 @@ exports.simple_edit = function(sync_type, sync_table, sync_permission, get_by_id
 				// We ball our clothes up. We stick them up some place high.
 				data.user_id = item_data.user_id;
 				data.space_id = item_data.space_id;
-				return exports.permissions_check(user_id, data.space_id, sync_permission)
+				return exports.permissions_check(user_id, data.space_id, sync_permission, tx)
 					.then(function(_) {
-						return db.update(sync_table, data.id, make_item_fn(data, item_data));
+						var cur_version = sync_model.bump_version(sync_type, data, item_data);
+						return tx.update(sync_table, data.id, make_item_fn(data, item_data), {version: cur_version})
+							.then(sync_model.ensure_versioned_update(sync_type, data.id, get_by_id, tx))
+							.tap(function() {
+								return revision_model.save(sync_type, item_data, user_id, tx);
+							});
 					});
 			})
 			.tap(function(item) {
-				return exports.get_space_user_ids(data.space_id)
+				return exports.get_space_user_ids(data.space_id, tx)
 					.then(function(user_ids) {
-						return sync_model.add_record(user_ids, user_id, sync_type, item.id, 'edit');
+						return sync_model.add_record(user_ids, user_id, sync_type, item.id, 'edit', tx);
 					})
 					.then(function(sync_ids) {
 						item.sync_ids = sync_ids;
@@ -578,24 +630,26 @@ exports.simple_edit = function(sync_type, sync_table, sync_permission, get_by_id
 
 /**
  * Abstracts deleting a specific object type from a space. Handles permissions,
- * deletion, and sync record creation.
+ * deletion (which really moves the item to the trash, see models/trash.js), and
+ * sync record creation.
  */
 exports.simple_delete = function(sync_type, sync_table, sync_permissions, get_by_id) {
-	return function(user_id, item_id) {
+	return function(user_id, item_id, tx) {
+		tx || (tx = db);
 		var space_id = null;
-		return get_by_id(item_id)
+		return get_by_id(item_id, tx)
 			.then(function(item_data) {
 				if(!item_data) error.promise_throw('doesnt_exist');
 				space_id = item_data.space_id;
-				return exports.permissions_check(user_id, space_id, sync_permissions);
+				return exports.permissions_check(user_id, space_id, sync_permissions, tx);
 			})
 			.then(function() {
-				return db.delete(sync_table, item_id);
+				return trash_model.trash_item(sync_type, sync_table, item_id, user_id, tx);
 			})
 			.then(function() {
-				return exports.get_space_user_ids(space_id)
+				return exports.get_space_user_ids(space_id, tx)
 					.then(function(user_ids) {
-						return sync_model.add_record(user_ids, user_id, sync_type, item_id, 'delete');
+						return sync_model.add_record(user_ids, user_id, sync_type, item_id, 'delete', tx);
 					});
 			})
 			.catch(error.promise_catch('doesnt_exist'), function() {
@@ -610,12 +664,13 @@ exports.simple_delete = function(sync_type, sync_table, sync_permissions, get_by
  * note).
  */
 exports.simple_move_space = function(sync_type, sync_table, perms_delete, perms_add, get_by_id, post_move_fn) {
-	return function(user_id, data) {
+	return function(user_id, data, tx) {
+		tx || (tx = db);
 		data = vlad.validate(sync_type, data);
 		var item_id = data.id;
 		var old_space_id = null;
 		var new_space_id = null;
-		return get_by_id(item_id)
+		return get_by_id(item_id, tx)
 			.then(function(cur_item_data) {
 				if(!cur_item_data) throw error.not_found('that space was not found');
 				old_space_id = cur_item_data.space_id;
@@ -629,11 +684,15 @@ exports.simple_move_space = function(sync_type, sync_table, perms_delete, perms_
 					old_space_id,
 					new_space_id,
 					// if either permission check fails, we get booted
-					exports.permissions_check(user_id, old_space_id, perms_delete),
-					exports.permissions_check(user_id, new_space_id, perms_add),
+					exports.permissions_check(user_id, old_space_id, perms_delete, tx),
+					exports.permissions_check(user_id, new_space_id, perms_add, tx),
 				]);
 			})
 			.spread(function(cur_item_data, old_space_id, new_space_id, _can_delete, _can_add) {
+				// the item's keys change when it moves, so any edit based on the
+				// pre-move version needs to conflict
+				var cur_version = sync_model.bump_version(sync_type, data, cur_item_data);
+				cur_item_data.version = data.version;
 				cur_item_data.space_id = new_space_id;
 				// gotta update those keys or the whole sweater unravels
 				cur_item_data.keys = data.keys;
@@ -641,11 +700,12 @@ exports.simple_move_space = function(sync_type, sync_table, perms_delete, perms_
 					space_id: new_space_id,
 					data: cur_item_data,
 				};
-				return db.update(sync_table, item_id, update)
+				return tx.update(sync_table, item_id, update, {version: cur_version})
+					.then(sync_model.ensure_versioned_update(sync_type, item_id, get_by_id, tx))
 					.tap(function(item) {
 						var user_promises = [
-							exports.get_space_user_ids(old_space_id),
-							exports.get_space_user_ids(new_space_id),
+							exports.get_space_user_ids(old_space_id, tx),
+							exports.get_space_user_ids(new_space_id, tx),
 						];
 						return Promise.all(user_promises)
 							.spread(function(old_user_ids, new_user_ids) {
@@ -655,7 +715,7 @@ exports.simple_move_space = function(sync_type, sync_table, perms_delete, perms_
 									old: 'delete',
 									new: 'add',
 								};
-								return sync_model.add_records_from_split(user_id, split_users, action_map, sync_type, item_id);
+								return sync_model.add_records_from_split(user_id, split_users, action_map, sync_type, item_id, tx);
 							})
 							.then(function(syncs) {
 								item.sync_ids = util.flatten(syncs);
@@ -668,7 +728,7 @@ exports.simple_move_space = function(sync_type, sync_table, perms_delete, perms_
 				// sync records for all of its notes to point to the new
 				// space when it moves
 				if(!post_move_fn) return;
-				return post_move_fn(user_id, item, old_space_id, new_space_id)
+				return post_move_fn(user_id, item, old_space_id, new_space_id, tx)
 					.then(function(sync_ids) {
 						if(!item.sync_ids) item.sync_ids = [];
 						item.sync_ids = item.sync_ids.concat(sync_ids);
@@ -8,6 +8,40 @@ const util = require('../helpers/util');
 const log = require('../helpers/log');
 const config = require('../helpers/config');
 const plugins = require('../helpers/plugins');
+const bus = require('../helpers/bus');
+const crypto = require('crypto');
+
+// the postgres channel we NOTIFY/LISTEN on to tell other server processes about
+// new sync records
+const NOTIFY_CHANNEL = 'turtl_sync';
+// postgres caps NOTIFY payloads at 8000 bytes, so we split up big user lists
+const NOTIFY_MAX_USERS = 256;
+// lets us ignore our own NOTIFYs (we publish those locally right away)
+const process_token = crypto.randomBytes(8).toString('hex');
+// the default for config.sync.max_sync_page_size
+const DEFAULT_SYNC_PAGE_SIZE = 512;
+// how long we remember sync item idempotency keys (in hours) if the config
+// doesn't say otherwise
+const DEFAULT_IDEMPOTENCY_KEY_HOURS = 24;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 64;
+// how many notes we pull out of the db at a time when streaming a full sync
+const FULL_SYNC_NOTE_BATCH = 100;
+// how many users' ids we grab at a time when compacting the sync log
+const COMPACT_USER_BATCH = 1000;
+// how long a GET /sync long poll waits for something to happen, and how often
+// it re-checks the db in the meantime (in case we missed a notification), if
+// config.sync doesn't say otherwise. by default we don't re-check at all and
+// rely on LISTEN/NOTIFY to wake us up.
+const DEFAULT_POLL_TIMEOUT_SECONDS = 20;
+const DEFAULT_POLL_INTERVAL_SECONDS = 0;
+// the built-in types that live in spaces (and the tables they live in) that
+// make up a sync digest, along with any types registered with `get_by_spaces`
+const DIGEST_TABLES = {
+	space: 'spaces',
+	board: 'boards',
+	note: 'notes',
+	comment: 'comments',
+};
 
 // holds our sync mappings. models will register themselves to the sync system
 // via the `register()` call
@@ -15,10 +49,28 @@ var process_sync_map = {};
 
 /**
  * Register a model with the sync system (used mainly for
- * process_incoming_sync())
+ * process_incoming_sync()). `syncs` maps actions (add, edit, delete, etc) to
+ * handlers, along with:
+ *
+ *   - link(ids): required. grabs the items' data for outgoing sync records
+ *   - clean(data): optional. strips private fields from outgoing item data
+ *   - get_by_spaces(space_ids): optional. returns the data of all the type's
+ *     items in the given spaces, which makes them part of full syncs and of
+ *     space shares. the built-in types handle this themselves, so this is
+ *     mainly for types registered by plugins.
+ *   - trash_by_space(user_id, space_id, tx): needed along with get_by_spaces.
+ *     removes all the type's items in a space that's being deleted, and
+ *     resolves to whatever (JSON-able) it needs to put them back, which gets
+ *     kept in the space's trash entry.
+ *   - restore_by_space(user_id, space_id, saved, tx): needed along with
+ *     trash_by_space. puts the items back (given what trash_by_space resolved
+ *     to) when the space is restored from the trash.
  */
 exports.register = function(type, syncs) {
 	log.debug('register sync: '+type+': ['+Object.keys(syncs).join(', ')+']');
+	if(syncs.get_by_spaces && !(syncs.trash_by_space && syncs.restore_by_space)) {
+		log.warn('register sync: '+type+': has `get_by_spaces` but not `trash_by_space`/`restore_by_space`, so its items will be left behind when a space is deleted');
+	}
 	process_sync_map[type] = syncs;
 };
 
@@ -31,6 +83,7 @@ var keychain_model = require('./keychain');
 var space_model = require('./space');
 var board_model = require('./board');
 var note_model = require('./note');
+var comment_model = require('./comment');
 var invite_model = require('./invite');
 
 /**
@@ -60,26 +113,292 @@ var convert_to_sync = function(item, type, action) {
 	return sync;
 };
 
+/**
+ * write a batch of sync records (see make_sync_writer()) in one statement: the
+ * `sync` records, sequence numbers claimed for every affected user (one upsert
+ * on `sync_seq`), and the `sync_users` records.
+ *
+ * each user's `sync_seq` record stays row-locked until the transaction
+ * commits, so if two transactions write sync records for the same user, the
+ * second one waits for the first to commit before it gets its numbers. this
+ * means sequence numbers become visible in order, and a client that has seen
+ * seq N will never have a record with a seq below N show up later.
+ *
+ * the locks are taken in user id order within the statement, and a transaction
+ * only writes one batch (see make_sync_writer()), so two transactions can't
+ * grab the same users' locks in different orders and deadlock each other.
+ *
+ * `batch` is a list of {user_ids, rec}. resolves to an array (in the same order
+ * as the batch) of the sync_ids (ie, the seqs of the creator's copy of each
+ * record, if they got one) to hand back to the caller.
+ */
+var write_sync_batch = function(batch, tx) {
+	var data = {};
+	var entries = [];
+	var targets = [];
+	var notify_user_ids = {};
+	batch.forEach(function(entry, i) {
+		data['user_id'+i] = entry.rec.user_id;
+		data['type'+i] = entry.rec.type;
+		data['item_id'+i] = entry.rec.item_id;
+		data['action'+i] = entry.rec.action;
+		entries.push('('+i+', {{user_id'+i+'}}::bigint, {{type'+i+'}}, {{item_id'+i+'}}, {{action'+i+'}})');
+		entry.user_ids.forEach(function(user_id) {
+			var t = targets.length;
+			data['target'+t] = user_id;
+			targets.push('('+i+', {{target'+t+'}}::bigint, '+t+')');
+			notify_user_ids[user_id] = true;
+		});
+	});
+	var qry = [
+		'WITH',
+		'entries (idx, user_id, type, item_id, action) AS (',
+		'	VALUES '+entries.join(', '),
+		'),',
+		'entry_ids AS (',
+		'	SELECT entries.*, nextval(pg_get_serial_sequence(\'sync\', \'id\')) AS sync_id',
+		'	FROM entries',
+		'),',
+		'new_syncs AS (',
+		'	INSERT INTO sync (id, user_id, type, item_id, action)',
+		'	SELECT sync_id, user_id, type, item_id, action FROM entry_ids',
+		'),',
+		'targets (idx, user_id, ord) AS (',
+		'	VALUES '+targets.join(', '),
+		'),',
+		'counts AS (',
+		'	SELECT user_id, COUNT(*) AS num FROM targets GROUP BY user_id',
+		'),',
+		// always lock users in the same order so two transactions touching
+		// the same set of users can't deadlock each other
+		'seqs AS (',
+		'	INSERT INTO sync_seq (user_id, seq)',
+		'	SELECT user_id, num FROM counts ORDER BY user_id',
+		'	ON CONFLICT (user_id) DO UPDATE SET seq = sync_seq.seq + EXCLUDED.seq, updated = NOW()',
+		'	RETURNING user_id, seq',
+		'),',
+		'new_sync_users AS (',
+		'	INSERT INTO sync_users (sync_id, user_id, seq)',
+		'	SELECT',
+		'		entry_ids.sync_id,',
+		'		targets.user_id,',
+		'		seqs.seq - counts.num + ROW_NUMBER() OVER (PARTITION BY targets.user_id ORDER BY targets.ord)',
+		'	FROM targets',
+		'	JOIN entry_ids ON entry_ids.idx = targets.idx',
+		'	JOIN counts ON counts.user_id = targets.user_id',
+		'	JOIN seqs ON seqs.user_id = targets.user_id',
+		'	RETURNING sync_id, user_id, seq',
+		')',
+		'SELECT entry_ids.idx, new_sync_users.user_id, new_sync_users.seq',
+		'FROM new_sync_users',
+		'JOIN entry_ids ON entry_ids.sync_id = new_sync_users.sync_id',
+	].join('\n');
+	return tx.query(qry, data, {type: 'select'})
+		.then(function(rows) {
+			var sync_ids = batch.map(function() { return []; });
+			rows.forEach(function(row) {
+				var entry = batch[row.idx];
+				if(row.user_id != entry.rec.user_id) return;
+				sync_ids[row.idx].push(parseInt(row.seq));
+			});
+			var user_ids = Object.keys(notify_user_ids);
+			// let anyone listening for these users know there's something new
+			// both in this process and in any others (once it's committed)
+			return tx.on_commit(function() {
+					bus.publish(user_ids, {});
+					return notify_processes(user_ids);
+				})
+				.then(function() { return sync_ids; });
+		});
+};
+
+/**
+ * a sync_id that doesn't exist yet because the transaction it was made in
+ * hasn't written its sync records (see make_sync_writer()). once it has, this
+ * turns into the real sync_id when serialized.
+ */
+var PendingSyncId = function() {
+	this.seq = null;
+};
+PendingSyncId.prototype.toJSON = function() {
+	return this.seq;
+};
+
+/**
+ * Sync writers collect every sync record created inside of a transaction
+ * (which is how we scope a request or a bulk sync item) and write them all
+ * with one statement right before it commits.
+ *
+ * Since nothing is written until the end, add() can't wait around for the real
+ * sync_ids. Instead it resolves right away with PendingSyncIds, which are
+ * filled in when the records are written. They serialize like the real thing,
+ * so they can go straight into a response (or a sync_keys result).
+ *
+ * Work that needs the final sync_ids can be queued with after_flush().
+ */
+var make_sync_writer = function(tx) {
+	var queue = [];
+	var after_flush_fns = [];
+	var flushed = false;
+	var flush = function() {
+		flushed = true;
+		var batch = queue;
+		queue = [];
+		var promise = batch.length ? write_sync_batch(batch, tx) : Promise.resolve([]);
+		return promise
+			.then(function(results) {
+				batch.forEach(function(entry, i) {
+					entry.pending.forEach(function(pending, j) {
+						pending.seq = results[i][j];
+					});
+				});
+				var fns = after_flush_fns;
+				after_flush_fns = [];
+				return Promise.each(fns, function(fn) { return fn(); });
+			});
+	};
+	tx.before_commit(flush);
+	return {
+		add: function(user_ids, sync_rec) {
+			// everything has to go out in the one batch, otherwise we'd be
+			// taking sync_seq locks in two rounds and could deadlock
+			if(flushed) {
+				return Promise.reject(new Error('sync: add_record() called after the transaction\'s sync records were written'));
+			}
+			var pending = user_ids.indexOf(String(sync_rec.user_id)) >= 0 ?
+				[new PendingSyncId()] :
+				[];
+			queue.push({user_ids: user_ids, rec: sync_rec, pending: pending});
+			return Promise.resolve(pending);
+		},
+		after_flush: function(fn) {
+			after_flush_fns.push(fn);
+			return Promise.resolve();
+		},
+	};
+};
+
+var get_sync_writer = function(tx) {
+	if(!tx.sync_writer) tx.sync_writer = make_sync_writer(tx);
+	return tx.sync_writer;
+};
+
+/**
+ * run `fn` once the sync records for `tx` have been written (right away if
+ * we're not in a transaction)
+ */
+var after_sync_flush = function(tx, fn) {
+	if(!tx.in_transaction) return Promise.resolve(fn());
+	return get_sync_writer(tx).after_flush(fn);
+};
+
 /**
  * inserts a sync record and attaches it to the given space_ids. this is how
  * various clients share data with each other.
+ *
+ * resolves to the sync_ids (ie, the seq of the creator's copy of the record, if
+ * they got one) the creator should ignore when they come back around in their
+ * next sync.
+ *
+ * `tx` is an optional transaction (see db.transaction()) to write the records
+ * in. this holds for any function in the models that takes a `tx`: leave it
+ * out, and we just use a pooled connection. in a transaction, the records are
+ * saved up and written right before it commits, and the sync_ids we resolve
+ * to are PendingSyncIds until then (see make_sync_writer()).
  */
-exports.add_record = function(affected_user_ids, creator_user_id, type, object_id, action) {
+exports.add_record = function(affected_user_ids, creator_user_id, type, object_id, action, tx) {
+	tx || (tx = db);
 	// if this affects no users, then it's useless, but not worth derailing the
 	// sync process. return a blank array.
 	if(affected_user_ids.length == 0) return Promise.resolve([]);
 
-	affected_user_ids = util.dedupe(affected_user_ids);
+	affected_user_ids = util.dedupe(affected_user_ids.map(String));
 	var sync_rec = make_sync_record(creator_user_id, type, object_id, action);
-	return db.insert('sync', sync_rec)
-		.tap(function(sync) {
-			return db.insert('sync_users', affected_user_ids.map(function(user_id) {
-				return {sync_id: sync.id, user_id: user_id};
-			}));
-		})
-		.then(function(sync) {
-			return [sync.id];
-		});
+	if(tx.in_transaction) return get_sync_writer(tx).add(affected_user_ids, sync_rec);
+	return write_sync_batch([{user_ids: affected_user_ids, rec: sync_rec}], tx)
+		.then(function(sync_ids) { return sync_ids[0]; });
+};
+
+/**
+ * NOTIFY all other server processes that the given users have a new sync
+ * record. failure here is logged, not thrown: the data is already saved and
+ * the worst case is that a long poll waits until its timeout.
+ */
+var notify_processes = function(user_ids) {
+	var chunks = [];
+	for(var i = 0; i < user_ids.length; i += NOTIFY_MAX_USERS) {
+		chunks.push(user_ids.slice(i, i + NOTIFY_MAX_USERS));
+	}
+	return Promise.map(chunks, function(chunk) {
+		var payload = JSON.stringify({from: process_token, user_ids: chunk});
+		return db.notify(NOTIFY_CHANNEL, payload);
+	}).catch(function(err) {
+		log.error('sync.notify_processes() -- ', err);
+	});
+};
+
+/**
+ * Start listening for sync NOTIFYs from other server processes, passing them
+ * along to our local sync bus. Call this once when the server starts.
+ */
+exports.listen = function() {
+	db.listen(NOTIFY_CHANNEL, function(payload) {
+		// we may have missed something (lost connection to the db), so tell
+		// everyone waiting to take another look
+		if(payload === null) return bus.publish_all({});
+		try {
+			var msg = JSON.parse(payload);
+		} catch(err) {
+			return log.error('sync.listen() -- bad payload: ', payload);
+		}
+		if(msg.from == process_token) return;
+		bus.publish(msg.user_ids, {});
+	});
+};
+
+/**
+ * Optimistic concurrency for edits. Given the incoming item data (which may
+ * contain the `version` the client based its edit on) and the item's current
+ * data, make sure the client isn't about to stomp on a change it hasn't seen
+ * yet. If it is, we throw a 409 with the current server copy in
+ * `extra.current` so the client can merge. Clients that don't send a version
+ * skip the check.
+ *
+ * Sets the new version on `data` and returns the version the item is currently
+ * at, which should be passed to db.update() as `options.version` so that two
+ * concurrent edits can't both win.
+ */
+exports.bump_version = function(type, data, current) {
+	var cur_version = parseInt(current.version) || 1;
+	if(data.version && parseInt(data.version) != cur_version) {
+		throw exports.version_conflict(type, current);
+	}
+	data.version = cur_version + 1;
+	return cur_version;
+};
+
+/**
+ * Create a 409 error for an edit that was based on an old version of an item.
+ */
+exports.version_conflict = function(type, current) {
+	var msg = type+' '+current.id+' was changed since your version (now at version '+(current.version || 1)+')';
+	return error.conflict(msg, {current: current});
+};
+
+/**
+ * Returns a function meant to be handed to the .then() of a versioned
+ * db.update(). If the update didn't happen (someone else edited the item
+ * between us loading it and saving it) we load the current copy and throw a
+ * version conflict.
+ */
+exports.ensure_versioned_update = function(type, item_id, get_by_id, tx) {
+	return function(item) {
+		if(item) return item;
+		return get_by_id(item_id, tx)
+			.then(function(current) {
+				throw exports.version_conflict(type, current || {id: item_id});
+			});
+	};
 };
 
 /**
@@ -109,10 +428,10 @@ exports.split_same_users = function(old_user_ids, new_user_ids) {
 /**
  * Add sync records from a split returned from split_same_users
  */
-exports.add_records_from_split = function(user_id, split_obj, action_map, sync_type, item_id) {
+exports.add_records_from_split = function(user_id, split_obj, action_map, sync_type, item_id, tx) {
 	var promises = [];
 	var push_sync = function(user_ids, action) {
-		promises.push(exports.add_record(user_ids, user_id, sync_type, item_id, action));
+		promises.push(exports.add_record(user_ids, user_id, sync_type, item_id, action, tx));
 	};
 	['same', 'old', 'new'].forEach(function(split_type) {
 		push_sync(split_obj[split_type], action_map[split_type]);
@@ -230,12 +549,69 @@ var clean_sync_records = function(sync_records) {
 	});
 };
 
+/**
+ * Grab the items for every sync type that has a `get_by_spaces` handler (see
+ * register()) in the given spaces. Resolves to a list of [type, items] pairs.
+ */
+var get_extra_space_items = function(space_ids) {
+	var types = Object.keys(process_sync_map).filter(function(type) {
+		return !!process_sync_map[type].get_by_spaces;
+	});
+	if(space_ids.length == 0) types = [];
+	return Promise.map(types, function(type) {
+		var handler = process_sync_map[type];
+		return Promise.resolve(handler.get_by_spaces(space_ids))
+			.then(function(items) {
+				if(handler.clean) items = items.map(handler.clean);
+				return [type, items];
+			});
+	});
+};
+
+/**
+ * Remove the items of every sync type with a `trash_by_space` handler (see
+ * register()) from a space that's being deleted. Resolves to an object mapping
+ * each type to what its handler resolved to, for restore_by_space().
+ */
+exports.trash_by_space = function(user_id, space_id, tx) {
+	var saved = {};
+	var types = Object.keys(process_sync_map).filter(function(type) {
+		return !!process_sync_map[type].trash_by_space;
+	});
+	return Promise.each(types, function(type) {
+		return Promise.resolve(process_sync_map[type].trash_by_space(user_id, space_id, tx))
+			.then(function(items) {
+				if(items === undefined) return;
+				saved[type] = items;
+			});
+	}).then(function() {
+		return saved;
+	});
+};
+
+/**
+ * Put back the items trash_by_space() removed from a space, given what it
+ * resolved to. Types that aren't registered anymore are skipped.
+ */
+exports.restore_by_space = function(user_id, space_id, saved, tx) {
+	saved || (saved = {});
+	return Promise.each(Object.keys(saved), function(type) {
+		var handler = process_sync_map[type];
+		if(!handler || !handler.restore_by_space) {
+			log.warn('sync.restore_by_space() -- no `restore_by_space` for type '+type+', skipping');
+			return;
+		}
+		return handler.restore_by_space(user_id, space_id, saved[type], tx);
+	});
+};
+
 /**
  * Given space sync records with action "(un)share", replace the share sync
- * record(s) with full data from that space (boards/notes).
+ * record(s) with full data from that space (boards/notes/comments).
  *
  * note that if a space is unshared, we explicitely send back "delete" sync
- * items for EACH member of the space (boards/notes/invites) individually.
+ * items for EACH member of the space (boards/notes/comments/invites)
+ * individually.
  */
 var populate_shares = function(user_id, sync_records) {
 	var populated = [];
@@ -245,9 +621,16 @@ var populate_shares = function(user_id, sync_records) {
 			var action = sync.action == 'share' ? 'add' : 'delete';
 			return space_model.user_has_permission(user_id, sync.item_id, space_model.permissions.add_space_invite)
 				.then(function(has_perm) {
-					return space_model.get_data_tree(sync.item_id, {skip_invites: !has_perm});
+					return Promise.all([
+						space_model.get_data_tree(sync.item_id, {skip_invites: !has_perm}),
+						get_extra_space_items([sync.item_id]),
+					]);
 				})
-				.spread(function(space, boards, notes) {
+				.spread(function(tree, extra_items) {
+					var space = tree[0];
+					var boards = tree[1];
+					var notes = tree[2];
+					var comments = tree[3];
 					// make sure the space actually exists before creating our
 					// sync records. otherwise, we just pass through the
 					// original sync record, but with our add/delete action
@@ -267,6 +650,14 @@ var populate_shares = function(user_id, sync_records) {
 							var sync = convert_to_sync(item, 'file', action);
 							populated.push(sync);
 						});
+						comments.forEach(function(item) {
+							populated.push(convert_to_sync(item, 'comment', action));
+						});
+						extra_items.forEach(function(type_items) {
+							type_items[1].forEach(function(item) {
+								populated.push(convert_to_sync(item, type_items[0], action));
+							});
+						});
 					} else {
 						// ah ah! alex, remember what we talked about? mmhmm
 						// thank you. shutup. thank you.
@@ -280,58 +671,186 @@ var populate_shares = function(user_id, sync_records) {
 	}).then(function() { return populated; });
 };
 
-var poll_sync_items = function(user_id, from_sync_id, poll, cutoff) {
+/**
+ * Figure out how many sync records we return in one page, given the limit the
+ * client asked for (if any). The client can ask for less than our max, never
+ * more.
+ */
+var get_page_size = function(limit) {
+	var max_page_size = (config.sync || {}).max_sync_page_size || DEFAULT_SYNC_PAGE_SIZE;
+	limit = parseInt(limit);
+	if(!limit || limit < 1 || limit > max_page_size) return max_page_size;
+	return limit;
+};
+
+/**
+ * Given the sync records pulled out for a page (we always pull one more than
+ * the page size so we know if there's more waiting), trim them down to the
+ * actual page. Returns [page_records, more].
+ *
+ * A space (un)share gets expanded into the entire contents of the space by
+ * populate_shares(), so we always end the page right after one. This keeps a
+ * share and its expansion in the same page, and keeps a page containing a share
+ * from also dragging along another page's worth of records.
+ */
+var paginate_sync_records = function(sync_records, page_size) {
+	var page = sync_records.slice(0, page_size);
+	for(var i = 0; i < page.length; i++) {
+		var sync = page[i];
+		if(sync.type == 'space' && ['share', 'unshare'].indexOf(sync.action) >= 0) {
+			page = page.slice(0, i + 1);
+			break;
+		}
+	}
+	return [page, sync_records.length > page.length];
+};
+
+/**
+ * Grab our long poll timeout/re-check interval (in ms) from the config
+ */
+var get_poll_timing = function() {
+	var sync_config = config.sync || {};
+	var timeout = parseFloat(sync_config.poll_timeout_seconds);
+	var interval = parseFloat(sync_config.poll_interval_seconds);
+	return {
+		timeout: (isNaN(timeout) ? DEFAULT_POLL_TIMEOUT_SECONDS : timeout) * 1000,
+		interval: (isNaN(interval) ? DEFAULT_POLL_INTERVAL_SECONDS : interval) * 1000,
+	};
+};
+
+/**
+ * Keeps track of whether whoever asked for something is still around to get
+ * it. `emitter` (say, an http request) emits `close` when they go away, at
+ * which point `aborted` flips to true and `promise` resolves. Call `done()`
+ * when finished so we stop listening.
+ */
+var make_abort_state = function(emitter) {
+	var state = {aborted: false, done: function() {}};
+	state.promise = new Promise(function(resolve) {
+		if(!emitter) return;
+		var abort = function() {
+			state.aborted = true;
+			resolve();
+		};
+		emitter.once('close', abort);
+		state.done = function() { emitter.removeListener('close', abort); };
+	});
+	return state;
+};
+
+/**
+ * bail out of whatever we're doing if the caller went away
+ */
+var check_abort = function(abort) {
+	if(abort.aborted) error.promise_throw('aborted');
+};
+
+var poll_sync_items = function(user_id, from_sync_id, poll, cutoff, page_size, abort) {
+	check_abort(abort);
+	// start listening BEFORE we query so that a sync record created between our
+	// query and our wait still wakes us up. we also wake up every so often
+	// regardless (if configured), just in case a notification went missing.
+	var timing = get_poll_timing();
+	var wait_for = Math.max(cutoff - new Date().getTime(), 0);
+	if(timing.interval > 0) wait_for = Math.min(wait_for, timing.interval);
+	var waiter = poll ? bus.wait(user_id, wait_for) : null;
+	// a user's sync records are numbered by their per-user `seq`, which only
+	// ever becomes visible in order (see add_sync_users()), so anything past
+	// `from_sync_id` that isn't here yet will have a higher seq than whatever we
+	// return now. no need to wait around for stragglers.
 	var qry = [
 		'SELECT',
-		'	s.*',
+		'	su.seq AS id, s.item_id, s.type, s.action, s.user_id, s.created',
 		'FROM',
 		'	sync s, sync_users su',
 		'WHERE',
 		'	s.id = su.sync_id AND',
 		'	su.user_id = {{user_id}} AND',
-		'	s.id > {{sync_id}}',
+		'	su.seq > {{sync_id}}',
 		'ORDER BY',
-		'	s.id ASC',
+		'	su.seq ASC',
+		'LIMIT {{limit}}',
 	].join('\n');
-	return db.query(qry, {user_id: user_id, sync_id: from_sync_id})
+	return db.query(qry, {user_id: user_id, sync_id: from_sync_id, limit: page_size + 1})
 		.then(function(sync_records) {
+			sync_records.forEach(function(sync) { sync.id = parseInt(sync.id); });
 			var now = new Date().getTime();
 			if(sync_records.length > 0 || !poll || (poll && now > cutoff)) {
-				// if we're polling (normal use), then when a sync comes in,
-				// there's a great chance we're going to return the first part
-				// of the sync before the entire thing finishes, which means the
-				// client won't have access to all the sync_ids that were
-				// created BEFORE the incoming sync triggers. race condition,
-				// really. so what we do is delay arbitrarily to give whatever
-				// triggered the incoming sync time to finish.
-				if(poll) {
-					return util.delay(500, sync_records);
-				} else {
-					return sync_records;
-				}
+				waiter && waiter.cancel();
+				return sync_records;
 			}
-			return util.delay(2500)
+			// nothing yet. sit tight until someone tells us there are new
+			// records for this user (or it's time to re-check) and look
+			// again. if the client leaves in the meantime, stop right there.
+			return Promise.race([waiter.promise, abort.promise])
 				.then(function() {
-					return poll_sync_items(user_id, from_sync_id, poll, cutoff);
+					waiter.cancel();
+					return poll_sync_items(user_id, from_sync_id, poll, cutoff, page_size, abort);
 				});
+		})
+		.catch(function(err) {
+			waiter && waiter.cancel();
+			throw err;
 		});
 };
 
 /**
- * Grab all the sync records for a user id AFTER the given sync id.
+ * Get a user's sync sequence info: `seq` is the latest sync_id they have, and
+ * `horizon` is the highest sync_id of theirs that has been removed by
+ * compaction due to age. Anyone syncing from before the horizon has missed
+ * records and needs to do a full sync.
  */
-exports.sync_from = function(user_id, from_sync_id, poll) {
+var get_sync_seq = function(user_id) {
+	return db.first('SELECT seq, horizon FROM sync_seq WHERE user_id = {{user_id}}', {user_id: user_id})
+		.then(function(rec) {
+			rec || (rec = {});
+			return {
+				seq: parseInt(rec.seq || 0),
+				horizon: parseInt(rec.horizon || 0),
+			};
+		});
+};
+
+/**
+ * Grab the sync records for a user id AFTER the given sync id, one page at a
+ * time. Resolves to [sync_records, latest_sync_id, sync_meta, more], where
+ * `more` lets the client know there are more records waiting after this page.
+ *
+ * Options:
+ *   - limit: the max number of sync records to return (capped by our
+ *     config.sync.max_sync_page_size)
+ *   - abort_on: an EventEmitter (like the http request) that emits `close` if
+ *     nobody is waiting on the results anymore. if it does, we stop polling
+ *     (and skip the work of loading the records) and reject with an `aborted`
+ *     error (see error.promise_catch()).
+ */
+exports.sync_from = function(user_id, from_sync_id, poll, options) {
+	options || (options = {});
 	if(!from_sync_id && from_sync_id !== 0) {
 		return Promise.reject(error.bad_request('missing `sync_id` var: '+JSON.stringify(from_sync_id)));
 	}
-	var cutoff = (new Date().getTime()) + (1000 * 20);
-	return poll_sync_items(user_id, from_sync_id, poll, cutoff)
+	var page_size = get_page_size(options.limit);
+	var cutoff = (new Date().getTime()) + get_poll_timing().timeout;
+	var more = false;
+	var abort = make_abort_state(options.abort_on);
+	return get_sync_seq(user_id)
+		.then(function(sync_seq) {
+			if(from_sync_id < sync_seq.horizon) {
+				throw error.gone('sync_id '+from_sync_id+' is too old, please do a full sync', {code: 'sync_id_too_old'});
+			}
+			return poll_sync_items(user_id, from_sync_id, poll, cutoff, page_size, abort);
+		})
 		.then(function(sync_records) {
-			return link_sync_records(sync_records);
+			check_abort(abort);
+			var paged = paginate_sync_records(sync_records, page_size);
+			more = paged[1];
+			return link_sync_records(paged[0]);
 		})
 		.spread(function(sync_records, latest_sync_id) {
+			check_abort(abort);
 			return populate_shares(user_id, sync_records)
 				.then(function(sync_records) {
+					check_abort(abort);
 					return clean_sync_records(sync_records);
 				})
 				.then(function(sync_records) {
@@ -341,17 +860,80 @@ exports.sync_from = function(user_id, from_sync_id, poll) {
 								sync_records,
 								latest_sync_id || from_sync_id,
 								sync_meta,
+								more,
 							];
 						});
 				});
-		});
+		})
+		.finally(abort.done);
+};
+
+/**
+ * Push sync records to `send_fn` as they are created for the given user,
+ * starting from `from_sync_id`. Records are linked/cleaned exactly the same way
+ * sync_from() does it, and `send_fn` is called with the same
+ * (sync_records, sync_id, sync_meta) values that sync_from() resolves to.
+ *
+ * Only one fetch runs at a time: if notifications come in while we're busy (or
+ * the last page told us there's more), we just fetch again once the current
+ * fetch finishes.
+ *
+ * Returns a function that stops the stream.
+ */
+exports.stream = function(user_id, from_sync_id, send_fn, err_fn) {
+	if(!from_sync_id && from_sync_id !== 0) {
+		err_fn(error.bad_request('missing `sync_id` var: '+JSON.stringify(from_sync_id)));
+		return function() {};
+	}
+	var cur_sync_id = from_sync_id;
+	var stopped = false;
+	var fetching = false;
+	var dirty = false;
+	var fetch = function() {
+		if(stopped) return;
+		if(fetching) {
+			dirty = true;
+			return;
+		}
+		fetching = true;
+		dirty = false;
+		return exports.sync_from(user_id, cur_sync_id, false)
+			.spread(function(sync_records, latest_sync_id, sync_meta, more) {
+				if(stopped) return;
+				cur_sync_id = latest_sync_id;
+				if(more) dirty = true;
+				if(sync_records.length == 0) return;
+				send_fn(sync_records, latest_sync_id, sync_meta);
+			})
+			.catch(function(err) {
+				if(stopped) return;
+				stop();
+				err_fn(err);
+			})
+			.finally(function() {
+				fetching = false;
+				if(dirty) fetch();
+			});
+	};
+	var unsubscribe = bus.subscribe(user_id, fetch);
+	var stop = function() {
+		stopped = true;
+		unsubscribe();
+	};
+	// send whatever the client missed before connecting
+	fetch();
+	return stop;
 };
 
 /**
  * Processes a sync item using the sync handlers that have registered themselves
  * with the sync system. Returns the final item added/edited/deleted/etced.
+ *
+ * Handlers are called as handler(user_id, data, tx), where `tx` is either the
+ * transaction the item is being processed in or the db helper itself, and must
+ * do all of their db work through it.
  */
-var process_incoming_sync = function(user_id, sync) {
+var process_incoming_sync = function(user_id, sync, tx) {
 	var item = sync.data;
 	if(!process_sync_map[sync.type]) {
 		return Promise.reject(error.bad_request('Missing sync handler for type `'+sync.type+'`'));
@@ -376,7 +958,7 @@ var process_incoming_sync = function(user_id, sync) {
 				handler_data = sync.data;
 			}
 			try {
-				var promise = handler(user_id, handler_data);
+				var promise = handler(user_id, handler_data, tx);
 			} catch(err) {
 				return Promise.reject(err);
 			}
@@ -398,11 +980,124 @@ var process_incoming_sync = function(user_id, sync) {
 		});
 };
 
+/**
+ * how many hours we remember a sync item's idempotency key for
+ */
+var get_idempotency_key_hours = function() {
+	var hours = parseInt((config.sync || {}).idempotency_key_hours);
+	return isNaN(hours) ? DEFAULT_IDEMPOTENCY_KEY_HOURS : hours;
+};
+
+var make_idempotency_id = function(user_id, key) {
+	return user_id+':'+key;
+};
+
+/**
+ * make sure a sync item's idempotency key (if it has one) is well-formed,
+ * without claiming it
+ */
+var check_idempotency_key = function(sync) {
+	var key = sync.idempotency_key;
+	if(key === undefined || key === null) return Promise.resolve(null);
+	if(typeof(key) != 'string' || key.length == 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+		return Promise.reject(error.bad_request('idempotency_key must be a string of 1-'+MAX_IDEMPOTENCY_KEY_LENGTH+' characters'));
+	}
+	return Promise.resolve(null);
+};
+
+/**
+ * if the given sync item has an idempotency key, claim it before running the
+ * item. resolves null if the item should run (the key is new, or old enough to
+ * have expired), or to the result we returned last time if we've already run
+ * it.
+ *
+ * the claim is an insert on the key's row, so this needs to run in the same
+ * transaction as the item: a concurrent retry with the same key blocks on our
+ * row until we commit (and then finds our result) or roll back (and then gets
+ * to run the item itself).
+ */
+var claim_idempotency_key = function(user_id, sync, tx) {
+	var key = sync.idempotency_key;
+	if(key === undefined || key === null) return Promise.resolve(null);
+	var params = {
+		id: make_idempotency_id(user_id, key),
+		user_id: user_id,
+		hours: get_idempotency_key_hours(),
+	};
+	var qry = [
+		'INSERT INTO sync_keys (id, user_id, result, created)',
+		'VALUES ({{id}}, {{user_id}}, NULL, NOW())',
+		'ON CONFLICT (id) DO UPDATE SET',
+		'	result = NULL,',
+		'	created = NOW(),',
+		'	updated = NOW()',
+		'WHERE sync_keys.created <= NOW() - ({{hours}}::int * INTERVAL \'1 hour\')',
+	].join('\n');
+	return check_idempotency_key(sync)
+		.then(function() {
+			return tx.query(qry, params);
+		})
+		.then(function(res) {
+			// it's ours, go ahead
+			if(res.rowCount > 0) return null;
+			return tx.first('SELECT result FROM sync_keys WHERE id = {{id}}', params)
+				.then(function(rec) {
+					var result = rec && rec.result;
+					if(!result) {
+						throw error.conflict('idempotency key `'+key+'` is already in use');
+					}
+					if(result.type != sync.type || result.action != sync.action) {
+						throw error.conflict('idempotency key `'+key+'` was already used for a different sync item');
+					}
+					return result;
+				});
+		});
+};
+
+/**
+ * remember the result of a sync item whose idempotency key we claimed (see
+ * claim_idempotency_key()). same transaction as the item, so if the item is
+ * rolled back, so is the key.
+ */
+var save_idempotent_result = function(user_id, sync, result, tx) {
+	if(!sync.idempotency_key) return Promise.resolve();
+	// wait for the real sync_ids to exist before we save them
+	return after_sync_flush(tx, function() {
+		var qry = 'UPDATE sync_keys SET result = {{result}}, updated = NOW() WHERE id = {{id}}';
+		return tx.query(qry, {
+			id: make_idempotency_id(user_id, sync.idempotency_key),
+			result: db.json(result),
+		});
+	});
+};
+
 /**
  * Given a user_id and a set of incoming sync records, apply the records to the
  * user's profile.
+ *
+ * Each sync item can carry an `idempotency_key`, a client-generated string
+ * unique to that item. If we see the same key again (say the client never got
+ * our response and is retrying) we return the original result instead of
+ * running the item a second time. Items always run in a transaction (their
+ * own, unless the whole batch has one) so that two retries racing each other
+ * can't both run the item.
+ *
+ * Options:
+ *   - atomic: if true, all the sync items run in one transaction. if any of
+ *     them fail, the whole batch is rolled back: the failed item is returned in
+ *     `failures` and every other item in `blocked`.
+ *   - dry_run: if true, the items go through everything a real sync would
+ *     (validation, permission checks, the sync plugin, the handlers
+ *     themselves) inside a transaction that always gets rolled back, so the
+ *     client finds out what would succeed or fail without changing anything.
+ *     no sync records, analytics, or file deletions come out of it, and since
+ *     nothing was actually created, `sync_ids` is always empty. idempotency
+ *     keys are checked for being well-formed, but not claimed or replayed, so
+ *     items get checked even if their key has been used. can be combined with
+ *     `atomic`.
  */
-exports.bulk_sync = function(user_id, sync_records, client) {
+exports.bulk_sync = function(user_id, sync_records, client, options) {
+	options || (options = {});
 	// enforce our sync.max_bulk_sync_records config
 	var max_sync_records = (config.sync || {}).max_bulk_sync_records;
 	if(max_sync_records) {
@@ -414,46 +1109,137 @@ exports.bulk_sync = function(user_id, sync_records, client) {
 		if(!breakdown[key]) breakdown[key] = 0;
 		breakdown[key]++;
 	});
-	log.info('sync.bulk_sync() -- user '+user_id+': syncing '+sync_records.length+' items: ', breakdown);
+	var modes = [];
+	if(options.atomic) modes.push('atomic');
+	if(options.dry_run) modes.push('dry run');
+	log.info('sync.bulk_sync() -- user '+user_id+': syncing '+sync_records.length+' items'+(modes.length ? ' ('+modes.join(', ')+')' : '')+': ', breakdown);
 
 	// assign each sync item a unique id so we can track successes vs failures
 	sync_records.forEach(function(sync, i) { sync._id = i + 1; });
 	var success_idx = {};
 
 	var successes = [];
-	return Promise.each(sync_records, function(sync) {
+	var run_items = function(tx) {
+		return Promise.each(sync_records, function(sync) {
+			if(!tx.in_transaction) {
+				// each item gets a transaction of its own, which scopes its sync
+				// records (written all at once when it commits) and its
+				// idempotency key (see claim_idempotency_key())
+				var num_successes = successes.length;
+				return db.transaction(function(item_tx) {
+						return run_item(sync, item_tx, {rethrow: true});
+					})
+					.catch(function(err) {
+						// item failures are already recorded on the item. if
+						// the item is fine, the commit itself failed.
+						if(sync.error) return;
+						log.error('sync.bulk_sync() -- ', err);
+						successes.splice(num_successes);
+						delete success_idx[sync._id];
+						sync.error = {code: err.status || 500, msg: err.message};
+					});
+			}
+			if(!options.dry_run || options.atomic) return run_item(sync, tx);
+			// a dry run puts every item in the same transaction, so give each
+			// one a savepoint to fall back to. otherwise one item failing in
+			// the db would sink every item after it, which isn't what a real
+			// (non-atomic) sync would do.
+			return tx.query('SAVEPOINT sync_item')
+				.then(function() {
+					return run_item(sync, tx);
+				})
+				.then(function() {
+					var qry = sync.error ?
+						'ROLLBACK TO SAVEPOINT sync_item' :
+						'RELEASE SAVEPOINT sync_item';
+					return tx.query(qry);
+				});
+		});
+	};
+	var run_item = function(sync, tx, item_options) {
+		item_options || (item_options = {});
 		var sync_client_id = sync.id;
 		log.debug('sync.bulk_sync() -- sync item start: ', sync_client_id, sync.action, sync.type);
-		return process_incoming_sync(user_id, sync)
-			.tap(function(item) {
-				log.debug('sync.bulk_sync() -- sync item done: ', sync_client_id);
-				var sync_ids = item.sync_ids;
-				delete item.sync_ids;
-				successes.push({
-					id: sync_client_id,
-					user_id: user_id,
-					item_id: item.id,
-					type: sync.type,
-					action: sync.action,
-					sync_ids: sync_ids,
-					data: item,
-				});
-				success_idx[sync._id] = true;
-				// DON'T return, we don't want failed analytics to grind the
-				// sync to a halt
-				analytics.track(user_id, sync.type+'.'+sync.action, client);
+		var claim_promise = options.dry_run ?
+			check_idempotency_key(sync) :
+			claim_idempotency_key(user_id, sync, tx);
+		return claim_promise
+			.then(function(result) {
+				if(result) {
+					// we've already done this one. hand back what we said
+					// last time and don't run it again.
+					log.debug('sync.bulk_sync() -- sync item replayed: ', sync_client_id, sync.idempotency_key);
+					result.id = sync_client_id;
+					successes.push(result);
+					success_idx[sync._id] = true;
+					return;
+				}
+				return process_incoming_sync(user_id, sync, tx)
+					.then(function(item) {
+						log.debug('sync.bulk_sync() -- sync item done: ', sync_client_id);
+						// a dry run's sync records never see the light of day
+						var sync_ids = options.dry_run ? [] : item.sync_ids;
+						delete item.sync_ids;
+						var result = {
+							id: sync_client_id,
+							user_id: user_id,
+							item_id: item.id,
+							type: sync.type,
+							action: sync.action,
+							sync_ids: sync_ids,
+							data: item,
+						};
+						if(options.dry_run) return result;
+						return save_idempotent_result(user_id, sync, result, tx)
+							.then(function() { return result; });
+					})
+					.then(function(result) {
+						successes.push(result);
+						success_idx[sync._id] = true;
+						// DON'T return, we don't want failed analytics to grind
+						// the sync to a halt
+						tx.on_commit(function() {
+							analytics.track(user_id, sync.type+'.'+sync.action, client);
+						});
+					});
 			})
 			.catch(function(err) {
 				log.error('sync.bulk_sync() -- ', err);
 				// store the errmsg in the sync item itself, which will be
 				// returned to the client.
 				sync.error = {code: err.status || 500, msg: err.message};
+				if(err.extra) sync.error.extra = err.extra;
+				// one failure sinks the whole batch in atomic mode
+				if(options.atomic || item_options.rethrow) throw err;
 			});
-	}).then(function() {
+	};
+	var promise = null;
+	if(options.atomic || options.dry_run) {
+		promise = db.transaction(function(tx) {
+				return run_items(tx)
+					.then(function() {
+						// we found out what we wanted to know. undo it all.
+						if(options.dry_run) error.promise_throw('dry_run');
+					});
+			})
+			.catch(error.promise_catch('dry_run'), function() {})
+			.catch(function(err) {
+				// if none of our items failed, then the transaction itself did
+				// and we have nothing useful to tell the client
+				var item_failed = sync_records.some(function(sync) { return sync.error; });
+				if(!item_failed) throw err;
+				// everything was rolled back, so nothing succeeded
+				successes = [];
+				success_idx = {};
+			});
+	} else {
+		promise = run_items(db);
+	}
+	return promise.then(function() {
 		log.debug('sync.bulk_sync() -- sync complete');
 		return plugins.with('sync', function(syncer) { return syncer.sync_meta(user_id); })
 			.then(function(plugin_data) {
-				return {
+				var res = {
 					// return all successful syncs
 					success: successes,
 					// return all failed syncs
@@ -469,78 +1255,548 @@ exports.bulk_sync = function(user_id, sync_records, client) {
 					// return the sync plugin extra data
 					extra: plugin_data,
 				};
+				if(options.dry_run) res.dry_run = true;
+				return res;
 			});
 	});
 };
 
 /**
- * Grab all a user's profile data, in the form of sync records.
+ * grab the sync_id a full sync should hand back. we grab this *before* reading
+ * any profile data, so anything that changes while we're reading gets picked
+ * up by the client's next incremental sync.
  */
-exports.full_sync = function(user_id) {
+var get_full_sync_id = function(user_id) {
+	return get_sync_seq(user_id)
+		.then(function(sync_seq) { return sync_seq.seq; });
+};
+
+/**
+ * Grab all a user's profile data, in the form of sync records, and hand them to
+ * `write_fn` one at a time as we load them. If `write_fn` returns a promise, we
+ * wait for it before moving on, which lets the caller apply backpressure.
+ *
+ * Notes (by far the bulk of most profiles) are pulled from the db in batches
+ * via a cursor, so we never have the whole profile in memory at once.
+ *
+ * Resolves to {sync_id, extra} once everything has been written.
+ */
+exports.full_sync_stream = function(user_id, write_fn) {
 	var user;
-	var sync_records = [];
+	var sync_id;
 	var space_ids = [];
-	return user_model.get_by_id(user_id, {data: true})
+	var write = function(item, type) {
+		var rec = convert_to_sync(item, type, 'add');
+		rec.id = 0;
+		return Promise.resolve(write_fn(rec));
+	};
+	return get_full_sync_id(user_id)
+		.then(function(_sync_id) {
+			sync_id = _sync_id;
+			return user_model.get_by_id(user_id, {data: true});
+		})
 		.then(function(_user) {
 			user = _user;
 			user.user_id = user_id;
-			sync_records.push(convert_to_sync(user, 'user', 'add'));
+			var rec = convert_to_sync(user, 'user', 'add');
+			rec.id = 0;
 			delete user.user_id;
+			return write_fn(rec);
+		})
+		.then(function() {
 			return keychain_model.get_by_user(user_id);
 		})
-		.then(function(keychain) {
-			keychain.forEach(function(entry) {
-				sync_records.push(convert_to_sync(entry, 'keychain', 'add'));
-			});
+		.each(function(entry) {
+			return write(entry, 'keychain');
+		})
+		.then(function() {
 			return space_model.get_by_user_id(user_id);
 		})
-		.then(function(spaces) {
-			return Promise.all(spaces.map(function(space) {
-				space_ids.push(space.id);
-				return space_model.user_has_permission(user_id, space.id, space_model.permissions.add_space_invite)
-					.then(function(has_perm) {
-						if(!has_perm) delete space.data.invites;
-						// spaces return the top-level object, not space.data, so we
-						// have to dig in to create the sync item.
-						sync_records.push(convert_to_sync(space.data, 'space', 'add'));
-					});
-			}));
+		.each(function(space) {
+			space_ids.push(space.id);
+			return space_model.user_has_permission(user_id, space.id, space_model.permissions.add_space_invite)
+				.then(function(has_perm) {
+					if(!has_perm) delete space.data.invites;
+					// spaces return the top-level object, not space.data, so we
+					// have to dig in to create the sync item.
+					return write(space.data, 'space');
+				});
 		})
-		.then(function(spaces) {
+		.then(function() {
 			return board_model.get_by_spaces(space_ids);
 		})
-		.then(function(boards) {
-			boards.forEach(function(board) {
-				sync_records.push(convert_to_sync(board, 'board', 'add'));
+		.each(function(board) {
+			return write(board, 'board');
+		})
+		.then(function() {
+			if(space_ids.length == 0) return;
+			var id_data = {};
+			var qry_ids = space_ids.map(function(id, i) {
+				id_data['space_id'+i] = id;
+				return '{{space_id'+i+'}}';
 			});
-			return note_model.get_by_spaces(space_ids);
+			var qry = 'SELECT data FROM notes WHERE space_id IN ('+qry_ids.join(',')+')';
+			return db.cursor(qry, id_data, {batch_size: FULL_SYNC_NOTE_BATCH}, function(notes) {
+				return Promise.each(notes, function(note) {
+					return write(note.data, 'note')
+						.then(function() {
+							if(!note.data.has_file) return;
+							return write(note.data, 'file');
+						});
+				});
+			});
+		})
+		.then(function() {
+			return comment_model.get_by_spaces(space_ids);
+		})
+		.each(function(comment) {
+			return write(comment, 'comment');
+		})
+		.then(function() {
+			return get_extra_space_items(space_ids);
 		})
-		.then(function(notes) {
-			notes.forEach(function(note) {
-				sync_records.push(convert_to_sync(note, 'note', 'add'));
+		.each(function(type_items) {
+			return Promise.each(type_items[1], function(item) {
+				return write(item, type_items[0]);
 			});
-			notes.forEach(function(note) {
+		})
+		.then(function() {
+			return invite_model.get_by_to_email(user.username);
+		})
+		.each(function(invite) {
+			return write(invite, 'invite');
+		})
+		.then(function() {
+			return plugins.with('sync', function(syncer) { return syncer.sync_meta(user_id); });
+		})
+		.then(function(sync_meta) {
+			return {
+				sync_id: sync_id,
+				extra: sync_meta,
+			};
+		});
+};
+
+/**
+ * Grab all a user's profile data, in the form of sync records.
+ */
+exports.full_sync = function(user_id) {
+	var sync_records = [];
+	var collect = function(rec) { sync_records.push(rec); };
+	return exports.full_sync_stream(user_id, collect)
+		.then(function(meta) {
+			return {
+				sync_id: meta.sync_id,
+				records: sync_records,
+				extra: meta.extra,
+			};
+		});
+};
+
+/**
+ * Like full_sync, but only for one space: the space itself, its boards, notes,
+ * files, comments, and any item types registered with a `get_by_spaces`
+ * handler. Lets a client rebuild a single space (say, after joining a large
+ * shared space, or if its local copy of the space is hosed) without pulling
+ * down the entire profile.
+ */
+exports.space_full_sync = function(user_id, space_id) {
+	var sync_id;
+	var sync_records = [];
+	var write = function(item, type) {
+		var rec = convert_to_sync(item, type, 'add');
+		rec.id = 0;
+		sync_records.push(rec);
+	};
+	return space_model.user_is_in_space(user_id, space_id)
+		.then(function(space_user) {
+			if(!space_user) throw error.forbidden('you don\'t have access to space '+space_id);
+			return get_full_sync_id(user_id);
+		})
+		.then(function(_sync_id) {
+			sync_id = _sync_id;
+			return space_model.user_has_permission(user_id, space_id, space_model.permissions.add_space_invite);
+		})
+		.then(function(has_perm) {
+			return Promise.all([
+				space_model.get_data_tree(space_id, {skip_invites: !has_perm}),
+				get_extra_space_items([space_id]),
+			]);
+		})
+		.spread(function(tree, extra_items) {
+			var space = tree[0];
+			if(!space) throw error.not_found('that space doesn\'t exist');
+			write(space, 'space');
+			tree[1].forEach(function(board) { write(board, 'board'); });
+			tree[2].forEach(function(note) { write(note, 'note'); });
+			tree[2].forEach(function(note) {
 				if(!note.has_file) return;
-				sync_records.push(convert_to_sync(note, 'file', 'add'));
+				write(note, 'file');
 			});
-			return invite_model.get_by_to_email(user.username);
+			tree[3].forEach(function(comment) { write(comment, 'comment'); });
+			extra_items.forEach(function(type_items) {
+				type_items[1].forEach(function(item) { write(item, type_items[0]); });
+			});
+			return plugins.with('sync', function(syncer) { return syncer.sync_meta(user_id); });
+		})
+		.then(function(sync_meta) {
+			return {
+				sync_id: sync_id,
+				records: sync_records,
+				extra: sync_meta,
+			};
+		});
+};
+
+/**
+ * Hash a string for our sync digests.
+ */
+var digest_hash = function(str) {
+	return crypto.createHash('sha1').update(str).digest('hex');
+};
+
+/**
+ * Which digest bucket an item falls into: the first hex character of the sha1
+ * of its id (so there are at most 16).
+ */
+var digest_bucket = function(item_id) {
+	return digest_hash(String(item_id)).substr(0, 1);
+};
+
+/**
+ * Given a list of {id, version} items, build a (two-level) hash tree over them:
+ *
+ *   - each bucket's hash is the sha1 of its items' `<id>:<version>` lines, sorted
+ *     by id and joined with "\n"
+ *   - the top-level hash is the sha1 of the `<bucket>:<bucket hash>` lines,
+ *     sorted by bucket and joined with "\n"
+ *
+ * Items without a version count as version 0. Empty buckets are left out.
+ */
+var build_digest = function(items) {
+	var buckets = {};
+	items.forEach(function(item) {
+		var bucket = digest_bucket(item.id);
+		if(!buckets[bucket]) buckets[bucket] = [];
+		buckets[bucket].push(item);
+	});
+	var bucket_hashes = {};
+	var bucket_lines = Object.keys(buckets).sort().map(function(bucket) {
+		var lines = buckets[bucket]
+			.sort(function(a, b) { return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0); })
+			.map(function(item) { return item.id+':'+item.version; });
+		bucket_hashes[bucket] = digest_hash(lines.join('\n'));
+		return bucket+':'+bucket_hashes[bucket];
+	});
+	return {
+		count: items.length,
+		hash: digest_hash(bucket_lines.join('\n')),
+		buckets: bucket_hashes,
+	};
+};
+
+/**
+ * Grab the id/version/space of every item in the given spaces, grouped by type.
+ * Resolves to {type: [{id, space_id, version}, ...]}.
+ */
+var get_digest_items = function(space_ids) {
+	var id_data = {};
+	var qry_ids = space_ids.map(function(id, i) {
+		id_data['space_id'+i] = id;
+		return '{{space_id'+i+'}}';
+	}).join(',');
+	var by_type = {};
+	var add_items = function(type, rows) {
+		by_type[type] = rows.map(function(row) {
+			return {
+				id: row.id,
+				space_id: row.space_id,
+				version: parseInt(row.version) || 0,
+			};
+		});
+	};
+	if(space_ids.length == 0) return Promise.resolve(by_type);
+	return Promise.map(Object.keys(DIGEST_TABLES), function(type) {
+			// spaces are their own space
+			var space_field = type == 'space' ? 'id' : 'space_id';
+			var qry = [
+				'SELECT id, '+space_field+' AS space_id, data->>\'version\' AS version',
+				'FROM '+DIGEST_TABLES[type],
+				'WHERE '+space_field+' IN ('+qry_ids+')',
+			].join('\n');
+			return db.query(qry, id_data)
+				.then(function(rows) { add_items(type, rows); });
 		})
-		.then(function(invites) {
-			invites.forEach(function(invite) {
-				sync_records.push(convert_to_sync(invite, 'invite', 'add'));
+		.then(function() {
+			return get_extra_space_items(space_ids);
+		})
+		.each(function(type_items) {
+			add_items(type_items[0], type_items[1]);
+		})
+		.then(function() { return by_type; });
+};
+
+/**
+ * Build a digest of the items in the user's spaces (or just one of them, if
+ * `options.space_id` is given) that a client can compare against its local data
+ * to find out what's drifted without doing a full sync. Looks like:
+ *
+ *   {
+ *     sync_id: 1234,
+ *     spaces: {
+ *       <space_id>: {
+ *         <type>: {count: 12, hash: 'abcd...', buckets: {'0': 'ef01...', ...}},
+ *         ...
+ *       },
+ *     },
+ *   }
+ *
+ * See build_digest() for how the hashes are made. Types with no items in a
+ * space are left out of it.
+ *
+ * If `options.type` and `options.bucket` are given along with the space, the
+ * {id, version} items in that bucket come back as well (as `items`) so the
+ * client can narrow down exactly which items differ, and grab them via
+ * get_items().
+ *
+ * The sync_id is grabbed before any items are, so once a client has fixed up
+ * its local data it can pick up syncing from there.
+ */
+exports.digest = function(user_id, options) {
+	options || (options = {});
+	var space_id = options.space_id;
+	var sync_id;
+	var space_ids_promise = space_id ?
+		space_model.user_is_in_space(user_id, space_id)
+			.then(function(space_user) {
+				if(!space_user) throw error.forbidden('you don\'t have access to space '+space_id);
+				return [space_id];
+			}) :
+		space_model.get_by_user_id(user_id)
+			.then(function(spaces) {
+				return spaces.map(function(s) { return s.id; });
 			});
-			return db.first('SELECT MAX(id) AS sync_id FROM sync')
-				.then(function(rec) { return rec.sync_id; });
-		})
-		.then(function(sync_id) {
-			return plugins.with('sync', function(syncer) { return syncer.sync_meta(user_id); })
-				.then(function(sync_meta) {
-					return {
-						sync_id: sync_id || 0,
-						records: sync_records.map(function(s) {s.id = 0; return s;}),
-						extra: sync_meta,
-					};
+	return space_ids_promise
+		.then(function(space_ids) {
+			return get_full_sync_id(user_id)
+				.then(function(_sync_id) {
+					sync_id = _sync_id;
+					return get_digest_items(space_ids);
+				})
+				.then(function(by_type) {
+					var spaces = {};
+					space_ids.forEach(function(id) { spaces[id] = {}; });
+					Object.keys(by_type).forEach(function(type) {
+						var grouped = {};
+						by_type[type].forEach(function(item) {
+							if(!spaces[item.space_id]) return;
+							if(!grouped[item.space_id]) grouped[item.space_id] = [];
+							grouped[item.space_id].push(item);
+						});
+						Object.keys(grouped).forEach(function(sid) {
+							spaces[sid][type] = build_digest(grouped[sid]);
+						});
+					});
+					var digest = {sync_id: sync_id, spaces: spaces};
+					if(space_id && options.type && options.bucket) {
+						digest.items = (by_type[options.type] || [])
+							.filter(function(item) {
+								return item.space_id == space_id && digest_bucket(item.id) == options.bucket;
+							})
+							.map(function(item) {
+								return {id: item.id, version: item.version};
+							});
+					}
+					return digest;
 				});
 		});
 };
 
+/**
+ * Grab specific items (of one type) as `add` sync records, for a client that
+ * found out (via digest()) that its copies have drifted. Any items that don't
+ * exist anymore, or that are in spaces the user isn't in, come back as
+ * `delete` records so the client knows to get rid of them.
+ */
+exports.get_items = function(user_id, type, item_ids) {
+	var handler = process_sync_map[type];
+	if(!handler || !handler.link || (!DIGEST_TABLES[type] && !handler.get_by_spaces)) {
+		return Promise.reject(error.bad_request('can\'t grab items of type `'+type+'`'));
+	}
+	if(item_ids.length == 0) return Promise.resolve([]);
+	var max_items = get_page_size();
+	if(item_ids.length > max_items) {
+		return Promise.reject(error.bad_request('you can grab at most '+max_items+' items at a time'));
+	}
+	return Promise.all([
+			handler.link(item_ids),
+			space_model.get_by_user_id(user_id),
+		])
+		.spread(function(items, spaces) {
+			var space_ids = {};
+			spaces.forEach(function(s) { space_ids[s.id] = true; });
+			var item_index = {};
+			items.forEach(function(item) {
+				var space_id = type == 'space' ? item.id : item.space_id;
+				if(!space_ids[space_id]) return;
+				item_index[item.id] = item;
+			});
+			return item_ids.map(function(id) {
+				var item = item_index[id];
+				var rec = item ?
+					convert_to_sync(item, type, 'add') :
+					convert_to_sync({id: id}, type, 'delete');
+				rec.id = 0;
+				return rec;
+			});
+		})
+		.then(clean_sync_records);
+};
+
+/**
+ * Tell the given users' clients to throw out their local data and rebuild it
+ * from a full sync, by sending each of them a `user.resync` sync record. Use
+ * this after fixing someone's data by hand, otherwise their clients will
+ * happily hang onto their stale copies forever.
+ *
+ * Resolves to the number of users we sent the record to.
+ */
+exports.request_resync = function(user_ids) {
+	var seen = {};
+	user_ids = user_ids.filter(function(user_id) {
+		if(seen[user_id]) return false;
+		seen[user_id] = true;
+		return true;
+	});
+	return Promise.map(user_ids, function(user_id) {
+			return exports.add_record([user_id], user_id, 'user', user_id, 'resync');
+		})
+		.then(function() {
+			return user_ids.length;
+		});
+};
+
+/**
+ * Like request_resync(), but for every member of a space.
+ */
+exports.request_space_resync = function(space_id) {
+	return space_model.get_space_user_ids(space_id)
+		.then(exports.request_resync);
+};
+
+/**
+ * Remove a user's sync records that are superseded by a later record for the
+ * same item (see compact()). Resolves to the number removed.
+ */
+var compact_superseded = function(user_id) {
+	var qry = [
+		'DELETE FROM sync_users',
+		'WHERE',
+		'	user_id = {{user_id}} AND',
+		'	sync_id IN (',
+		'		SELECT sync_id FROM (',
+		'			SELECT',
+		'				su.sync_id,',
+		'				s.action,',
+		'				BOOL_OR(s.action IN (\'edit\', \'delete\')) OVER later AS changed_later,',
+		'				BOOL_OR(s.action = \'delete\') OVER later AS deleted_later',
+		'			FROM sync_users su, sync s',
+		'			WHERE su.user_id = {{user_id}} AND su.sync_id = s.id',
+		'			WINDOW later AS (',
+		'				PARTITION BY s.type, s.item_id',
+		'				ORDER BY su.seq',
+		'				ROWS BETWEEN 1 FOLLOWING AND UNBOUNDED FOLLOWING',
+		'			)',
+		'		) r',
+		'		WHERE',
+		'			(r.action = \'edit\' AND r.changed_later) OR',
+		'			(r.action = \'add\' AND r.deleted_later)',
+		'	)',
+	].join('\n');
+	return db.query(qry, {user_id: user_id})
+		.then(function(res) {
+			return res.rowCount;
+		});
+};
+
+/**
+ * Shrink the sync log. This does three things:
+ *
+ *   1. For each user, removes sync records that are superseded by a later
+ *      record for the same item (an edit followed by another edit or a delete,
+ *      or an add followed by a delete). Since sync records are linked to the
+ *      item's current data when they're sent out, the client ends up in the
+ *      same place either way.
+ *   2. Removes any sync records older than config.sync.retention_days (if
+ *      set), and moves each affected user's sync horizon up so clients syncing
+ *      from before the removed records know they need to do a full sync.
+ *   3. Forgets any sync item idempotency keys older than
+ *      config.sync.idempotency_key_hours.
+ *
+ * Meant to be run periodically via tools/compact-sync.js.
+ */
+exports.compact = function() {
+	var retention_days = parseInt((config.sync || {}).retention_days);
+	var stats = {superseded: 0, expired: 0, horizons: 0, idempotency_keys: 0};
+	// superseded records are removed one user at a time, so each statement
+	// only ever looks at (and locks) one user's log
+	var compact_users = function(after_user_id) {
+		var qry = 'SELECT user_id FROM sync_seq WHERE user_id > {{after}} ORDER BY user_id LIMIT {{limit}}';
+		return db.query(qry, {after: after_user_id, limit: COMPACT_USER_BATCH})
+			.then(function(recs) {
+				if(recs.length == 0) return;
+				return Promise.each(recs, function(rec) {
+					return compact_superseded(rec.user_id)
+						.then(function(num) { stats.superseded += num; });
+				}).then(function() {
+					return compact_users(recs[recs.length - 1].user_id);
+				});
+			});
+	};
+	return compact_users(0)
+		.then(function() {
+			if(!retention_days || retention_days < 1) return;
+			// remove the expired records and move each affected user's horizon
+			// up to the highest seq we removed for them, all in one go so
+			// nobody can sync from a partially-compacted log
+			var qry = [
+				'WITH expired AS (',
+				'	DELETE FROM sync_users su',
+				'	USING sync s',
+				'	WHERE',
+				'		su.sync_id = s.id AND',
+				'		s.created < NOW() - ({{days}}::int * INTERVAL \'1 day\')',
+				'	RETURNING su.user_id, su.seq',
+				'), horizons AS (',
+				'	UPDATE sync_seq ss',
+				'	SET horizon = GREATEST(ss.horizon, e.seq)',
+				'	FROM (SELECT user_id, MAX(seq) AS seq FROM expired GROUP BY user_id) e',
+				'	WHERE ss.user_id = e.user_id',
+				'	RETURNING ss.user_id',
+				')',
+				'SELECT',
+				'	(SELECT COUNT(*) FROM expired) AS expired,',
+				'	(SELECT COUNT(*) FROM horizons) AS horizons',
+			].join('\n');
+			return db.first(qry, {days: retention_days})
+				.then(function(rec) {
+					stats.expired = parseInt(rec.expired);
+					stats.horizons = parseInt(rec.horizons);
+				});
+		})
+		.then(function() {
+			var qry = 'DELETE FROM sync_keys WHERE created < NOW() - ({{hours}}::int * INTERVAL \'1 hour\')';
+			return db.query(qry, {hours: get_idempotency_key_hours()})
+				.then(function(res) {
+					stats.idempotency_keys = res.rowCount;
+				});
+		})
+		.then(function() {
+			// clean up any sync records that no longer belong to anyone
+			var qry = 'DELETE FROM sync s WHERE NOT EXISTS (SELECT 1 FROM sync_users su WHERE su.sync_id = s.id)';
+			return db.query(qry);
+		})
+		.then(function() {
+			return stats;
+		});
+};
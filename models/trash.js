@@ -0,0 +1,447 @@
+"use strict";
+
+/**
+ * Deleting a note, board, or space doesn't remove it right away. Instead, we
+ * move a copy of its row(s) into the `trash` table where it can be restored
+ * for a while (config.trash.retention_days) until tools/purge-trash.js gets rid
+ * of it for good. Since trashed items aren't in their normal tables anymore,
+ * nothing else (linking, full syncs, etc) ever sees them.
+ */
+
+var db = require('../helpers/db');
+var Promise = require('bluebird');
+var error = require('../helpers/error');
+var config = require('../helpers/config');
+var log = require('../helpers/log');
+var sync_model = require('./sync');
+var space_model = require('./space');
+var user_model = require('./user');
+var file_model = require('./file');
+var revision_model = require('./revision');
+
+// used if config.trash doesn't say otherwise
+const DEFAULT_RETENTION_DAYS = 30;
+
+// the tables our (non-space) trashable types live in
+const TABLES = {
+	note: 'notes',
+	board: 'boards',
+};
+
+// rows that belong to a trashed item and get stashed in its trash entry (see
+// stash_with_item()), keyed by where they're stashed
+const STASHED = {
+	comments: {table: 'comments', type: 'comment'},
+};
+
+var get_retention_days = function() {
+	var days = parseInt((config.trash || {}).retention_days);
+	return isNaN(days) ? DEFAULT_RETENTION_DAYS : days;
+};
+
+var clean = function(entry) {
+	var row = entry.data.row || {};
+	return {
+		id: entry.id,
+		type: entry.type,
+		item_id: entry.item_id,
+		space_id: entry.space_id,
+		deleted_by: entry.deleted_by,
+		deleted: entry.created,
+		data: row.data,
+	};
+};
+
+/**
+ * move a note/board into the trash. this removes it from its table, so make
+ * sure you've done your permission checks first.
+ *
+ * we only know how to restore notes/boards, so anything else (say, a type
+ * registered by a plugin) is just deleted from `table`.
+ */
+exports.trash_item = function(type, table, item_id, user_id, tx) {
+	tx || (tx = db);
+	if(!TABLES[type]) return tx.delete(table, item_id);
+	return tx.by_id(table, item_id)
+		.then(function(row) {
+			if(!row) return;
+			var entry = {
+				item_id: item_id,
+				type: type,
+				space_id: row.space_id,
+				deleted_by: user_id,
+				data: db.json({row: row}),
+			};
+			return tx.insert('trash', entry)
+				.then(function() {
+					return tx.delete(table, item_id);
+				});
+		});
+};
+
+/**
+ * save rows that go along with a trashed item (say, a note's comments) into its
+ * trash entry under `key` (see STASHED), so they come back if it's restored.
+ * this doesn't remove them from their table, so do that yourself. call it
+ * after trash_item().
+ */
+exports.stash_with_item = function(type, item_id, key, rows, tx) {
+	tx || (tx = db);
+	if(!STASHED[key]) return Promise.reject(new Error('trash: don\'t know how to stash `'+key+'`'));
+	var qry = [
+		'UPDATE trash',
+		'SET data = jsonb_set(data, ARRAY[{{key}}::text], {{rows}}::jsonb)',
+		'WHERE id = (',
+		'	SELECT MAX(id) FROM trash WHERE type = {{type}} AND item_id = {{item_id}}',
+		')',
+	].join('\n');
+	return tx.query(qry, {key: key, rows: db.json(rows), type: type, item_id: item_id});
+};
+
+/**
+ * put back any rows stashed in a trash entry (see stash_with_item()). resolves
+ * to a list of {type, id} for the rows that came back.
+ */
+var restore_stashed = function(entry_data, tx) {
+	var restored = [];
+	return Promise.each(Object.keys(STASHED), function(key) {
+		var stash = STASHED[key];
+		return Promise.each(entry_data[key] || [], function(row) {
+			return tx.by_id(stash.table, row.id)
+				.then(function(existing) {
+					if(existing) return;
+					return tx.insert(stash.table, row)
+						.then(function() {
+							restored.push({type: stash.type, id: row.id});
+						});
+				});
+		});
+	}).then(function() {
+		return restored;
+	});
+};
+
+/**
+ * save a space (along with its members, invites, and keychain entries) into the
+ * trash. unlike trash_item(), this doesn't remove anything: space_model's
+ * delete does that, and calls this first.
+ */
+exports.trash_space = function(space_id, user_id, tx) {
+	tx || (tx = db);
+	var params = {space_id: space_id};
+	return Promise.all([
+			tx.by_id('spaces', space_id),
+			tx.query('SELECT * FROM spaces_users WHERE space_id = {{space_id}}', params),
+			tx.query('SELECT * FROM spaces_invites WHERE space_id = {{space_id}}', params),
+			tx.query('SELECT * FROM keychain WHERE item_id = {{space_id}}', params),
+		])
+		.spread(function(row, members, invites, keychain) {
+			if(!row) return;
+			var entry = {
+				item_id: space_id,
+				type: 'space',
+				space_id: space_id,
+				deleted_by: user_id,
+				data: db.json({
+					row: row,
+					members: members,
+					invites: invites,
+					keychain: keychain,
+				}),
+			};
+			return tx.insert('trash', entry);
+		});
+};
+
+/**
+ * remove the items of any plugin-registered sync types from a space that's
+ * being deleted (see sync_model.trash_by_space()) and keep what they need to
+ * come back in the space's trash entry. call it after trash_space().
+ */
+exports.trash_registered_items = function(user_id, space_id, tx) {
+	tx || (tx = db);
+	return sync_model.trash_by_space(user_id, space_id, tx)
+		.then(function(saved) {
+			if(Object.keys(saved).length == 0) return;
+			var qry = [
+				'UPDATE trash',
+				'SET data = jsonb_set(data, \'{registered}\', {{saved}}::jsonb)',
+				'WHERE id = (',
+				'	SELECT MAX(id) FROM trash WHERE type = \'space\' AND item_id = {{space_id}}',
+				')',
+			].join('\n');
+			return tx.query(qry, {saved: db.json(saved), space_id: space_id});
+		});
+};
+
+/**
+ * mark the given trashed notes/boards as having been deleted along with their
+ * space. they come back when the space is restored, and can't be restored on
+ * their own.
+ */
+exports.mark_deleted_with = function(space_id, item_ids, tx) {
+	tx || (tx = db);
+	if(item_ids.length == 0) return Promise.resolve();
+	var id_data = {space_id: space_id};
+	var qry_ids = item_ids.map(function(id, i) {
+		id_data['item_id'+i] = id;
+		return '{{item_id'+i+'}}';
+	});
+	var qry = [
+		'UPDATE trash',
+		'SET deleted_with = {{space_id}}',
+		'WHERE',
+		'	space_id = {{space_id}} AND',
+		'	type IN (\'note\', \'board\') AND',
+		'	deleted_with IS NULL AND',
+		'	item_id IN ('+qry_ids.join(',')+')',
+	].join('\n');
+	return tx.query(qry, id_data);
+};
+
+/**
+ * list everything in the trash the given user can restore: spaces they
+ * deleted, and notes/boards from spaces they're currently in. newest first.
+ */
+exports.list = function(user_id) {
+	var qry = [
+		'SELECT * FROM trash',
+		'WHERE',
+		'	(type = \'space\' AND deleted_by = {{user_id}}) OR',
+		'	(',
+		'		type IN (\'note\', \'board\') AND',
+		'		deleted_with IS NULL AND',
+		'		space_id IN (SELECT space_id FROM spaces_users WHERE user_id = {{user_id}})',
+		'	)',
+		'ORDER BY id DESC',
+	].join('\n');
+	return db.query(qry, {user_id: user_id})
+		.then(function(entries) {
+			return entries.map(clean);
+		});
+};
+
+/**
+ * put a trashed note/board back where it was and let the space know
+ */
+var restore_item = function(user_id, entry, tx) {
+	var row = entry.data.row;
+	var type = entry.type;
+	var table = TABLES[type];
+	var perm = type == 'note' ? space_model.permissions.add_note : space_model.permissions.add_board;
+	return Promise.all([
+			tx.by_id('spaces', row.space_id),
+			tx.by_id(table, row.id),
+		])
+		.spread(function(space, existing) {
+			if(!space) throw error.conflict('the space this '+type+' was in no longer exists (if it\'s in the trash, restore it first)');
+			if(existing) throw error.conflict('that '+type+' already exists');
+			return space_model.permissions_check(user_id, row.space_id, perm, tx);
+		})
+		.then(function() {
+			return tx.insert(table, row);
+		})
+		.then(function() {
+			return Promise.all([
+				space_model.get_space_user_ids(row.space_id, tx),
+				restore_stashed(entry.data, tx),
+			]);
+		})
+		.spread(function(user_ids, restored) {
+			var records = [sync_model.add_record(user_ids, user_id, type, row.id, 'add', tx)];
+			if(type == 'note' && (row.data || {}).has_file) {
+				records.push(sync_model.add_record(user_ids, user_id, 'file', row.id, 'add', tx));
+			}
+			restored.forEach(function(item) {
+				records.push(sync_model.add_record(user_ids, user_id, item.type, item.id, 'add', tx));
+			});
+			return Promise.all(records);
+		})
+		.then(function(sync_ids) {
+			var data = row.data;
+			data.sync_ids = [].concat.apply([], sync_ids);
+			return data;
+		});
+};
+
+/**
+ * bring back a space: its row, members, invites, keychain entries, any
+ * notes/boards that got deleted along with it, and any items of
+ * plugin-registered types (see trash_registered_items()). members get a
+ * `share` record, just like when they were first added to the space.
+ */
+var restore_space = function(user_id, entry, tx) {
+	var snapshot = entry.data;
+	var row = snapshot.row;
+	var space_id = row.id;
+	var user_idx = {};
+	var sync_ids = [];
+	var push_sync_ids = function(ids) { sync_ids = sync_ids.concat(ids); };
+	if(entry.deleted_by != user_id) {
+		return Promise.reject(error.forbidden('only the user who deleted a space can restore it'));
+	}
+	return tx.by_id('spaces', space_id)
+		.then(function(existing) {
+			if(existing) throw error.conflict('that space already exists');
+			// skip anyone who has deleted their account since
+			var user_ids = snapshot.members.map(function(m) { return m.user_id; });
+			return user_model.get_by_ids(user_ids, {tx: tx});
+		})
+		.then(function(users) {
+			users.forEach(function(u) { user_idx[u.id] = u; });
+			var members = snapshot.members.filter(function(m) { return user_idx[m.user_id]; });
+			var keychain = snapshot.keychain.filter(function(k) { return user_idx[k.user_id]; });
+			return tx.insert('spaces', row)
+				.then(function() {
+					if(members.length == 0) return;
+					return tx.insert('spaces_users', members);
+				})
+				.then(function() {
+					if(snapshot.invites.length == 0) return;
+					return tx.insert('spaces_invites', snapshot.invites);
+				})
+				.then(function() {
+					return Promise.each(keychain, function(entry) {
+						return tx.by_id('keychain', entry.id)
+							.then(function(existing) {
+								if(existing) return;
+								return tx.insert('keychain', entry)
+									.then(function() {
+										return sync_model.add_record([entry.user_id], user_id, 'keychain', entry.id, 'add', tx);
+									})
+									.then(push_sync_ids);
+							});
+					});
+				});
+		})
+		.then(function() {
+			// put back the notes/boards that went down with the space. no sync
+			// records for these, the `share` below takes care of it.
+			var qry = 'SELECT * FROM trash WHERE deleted_with = {{space_id}}';
+			return tx.query(qry, {space_id: space_id})
+				.each(function(child) {
+					var table = TABLES[child.type];
+					var child_row = child.data.row;
+					return tx.by_id(table, child_row.id)
+						.then(function(existing) {
+							if(existing) return;
+							return tx.insert(table, child_row)
+								.then(function() {
+									return restore_stashed(child.data, tx);
+								});
+						})
+						.then(function() {
+							return tx.delete('trash', child.id);
+						});
+				});
+		})
+		.then(function() {
+			// and anything plugins had in there (again, the `share` covers it)
+			return sync_model.restore_by_space(user_id, space_id, snapshot.registered, tx);
+		})
+		.then(function() {
+			var usernames = snapshot.invites.map(function(i) { return i.to_user; });
+			return user_model.get_by_emails(usernames, tx)
+				.each(function(invitee) {
+					var invite = snapshot.invites.filter(function(i) { return i.to_user == invitee.username; })[0];
+					return sync_model.add_record([invitee.id], user_id, 'invite', invite.id, 'add', tx)
+						.then(push_sync_ids);
+				});
+		})
+		.then(function() {
+			return space_model.get_space_user_ids(space_id, tx);
+		})
+		.then(function(user_ids) {
+			return sync_model.add_record(user_ids, user_id, 'space', space_id, 'share', tx);
+		})
+		.then(function(share_sync_ids) {
+			push_sync_ids(share_sync_ids);
+			var data = row.data;
+			data.sync_ids = sync_ids;
+			return data;
+		});
+};
+
+/**
+ * restore an item from the trash. resolves to the restored item's data, with
+ * the sync_ids we created attached.
+ */
+exports.restore = function(user_id, trash_id) {
+	return db.transaction(function(tx) {
+		var qry = 'SELECT * FROM trash WHERE id = {{id}} FOR UPDATE';
+		return tx.first(qry, {id: trash_id})
+			.then(function(entry) {
+				if(!entry) throw error.not_found('that item isn\'t in the trash');
+				if(entry.deleted_with) {
+					throw error.conflict('that '+entry.type+' was deleted along with its space. restore the space instead');
+				}
+				var promise = entry.type == 'space' ?
+					restore_space(user_id, entry, tx) :
+					restore_item(user_id, entry, tx);
+				return promise
+					.tap(function() {
+						return tx.delete('trash', entry.id);
+					});
+			});
+	});
+};
+
+/**
+ * permanently remove the given trash entries, along with anything they leave
+ * lying around (attachments, revisions).
+ */
+var purge_entries = function(entries) {
+	return Promise.each(entries, function(entry) {
+		var row = entry.data.row || {};
+		var table = TABLES[entry.type];
+		// if a client re-created the item since it was trashed, leave its
+		// attachment/revisions alone
+		var exists_promise = table ? db.by_id(table, entry.item_id) : Promise.resolve(null);
+		return exists_promise
+			.then(function(existing) {
+				if(existing) return;
+				var promises = [];
+				if(entry.type == 'note' && (row.data || {}).has_file) {
+					promises.push(file_model.delete_attachment(entry.item_id));
+				}
+				if(table) promises.push(revision_model.purge(entry.type, entry.item_id));
+				return Promise.all(promises);
+			})
+			.then(function() {
+				return db.delete('trash', entry.id);
+			})
+			.catch(function(err) {
+				// leave it for next time
+				log.error('trash.purge_entries() -- problem purging trash entry '+entry.id+': ', err);
+			});
+	}).then(function() {
+		return entries.length;
+	});
+};
+
+/**
+ * permanently remove anything that's been in the trash longer than
+ * config.trash.retention_days. resolves to the number of entries purged.
+ *
+ * meant to be run periodically via tools/purge-trash.js.
+ */
+exports.purge_expired = function() {
+	var qry = 'SELECT * FROM trash WHERE created < NOW() - ({{days}}::int * INTERVAL \'1 day\')';
+	return db.query(qry, {days: get_retention_days()})
+		.then(purge_entries);
+};
+
+/**
+ * permanently remove any spaces (and their contents) the given user has in the
+ * trash. used when deleting an account, since nobody can restore them anymore.
+ */
+exports.purge_spaces_deleted_by = function(user_id) {
+	var qry = [
+		'SELECT * FROM trash',
+		'WHERE',
+		'	(type = \'space\' AND deleted_by = {{user_id}}) OR',
+		'	deleted_with IN (SELECT item_id FROM trash WHERE type = \'space\' AND deleted_by = {{user_id}})',
+	].join('\n');
+	return db.query(qry, {user_id: user_id})
+		.then(purge_entries);
+};
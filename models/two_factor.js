@@ -0,0 +1,235 @@
+"use strict";
+
+/**
+ * Optional two-factor auth for logging in. A user enrolls by grabbing a TOTP
+ * secret (start()), loading it into their authenticator app, and proving it
+ * works with a code (confirm()), at which point they get a set of one-use
+ * recovery codes for when their phone goes swimming.
+ *
+ * Once it's on, logging in with Basic auth also needs a code (or recovery code)
+ * in the X-Turtl-OTP header (see user_model.check_auth()). Codes only work
+ * once, so Basic auth is only good for logging in (POST /auth) at that point,
+ * and everything else needs a session. Everything lives on the user's record:
+ *
+ *   - totp_secret: the (hex) TOTP secret
+ *   - totp_enabled: whether the secret has been confirmed and is required
+ *   - totp_last_step: the time step of the last code used, so codes can't be
+ *     replayed
+ *   - totp_recovery: hashes of the unused recovery codes
+ */
+
+var db = require('../helpers/db');
+var Promise = require('bluebird');
+var crypto = require('crypto');
+var salt = require('../helpers/salt');
+var error = require('../helpers/error');
+var totp = require('../helpers/totp');
+var login_throttle = require('./login_throttle');
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'Turtl';
+
+var hash_recovery_code = function(code, app_salt) {
+	var normalized = code.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+	return crypto.createHmac('sha256', app_salt || salt.current())
+		.update(normalized)
+		.digest('hex');
+};
+
+/**
+ * make a fresh set of recovery codes. returns [codes, hashes]: the codes go to
+ * the user (once), the hashes go in the db.
+ */
+var make_recovery_codes = function() {
+	var codes = [];
+	for(var i = 0; i < RECOVERY_CODE_COUNT; i++) {
+		var hex = crypto.randomBytes(5).toString('hex');
+		codes.push(hex.substr(0, 5)+'-'+hex.substr(5));
+	}
+	return [codes, codes.map(function(code) { return hash_recovery_code(code); })];
+};
+
+var get_user = function(user_id) {
+	return db.first('SELECT * FROM users WHERE id = {{user_id}}', {user_id: user_id})
+		.then(function(user) {
+			if(!user) throw error.not_found('that user doesn\'t exist');
+			return user;
+		});
+};
+
+/**
+ * does this user (a raw users row) need a code to log in?
+ */
+exports.is_enabled = function(user) {
+	return !!user.totp_enabled;
+};
+
+/**
+ * check a one-time code (or a recovery code) for a user (a raw users row) with
+ * two-factor enabled. resolves to true if it's good, in which case it's been
+ * used up.
+ */
+exports.check_code = function(user, code) {
+	if(!code || !user.totp_secret) return Promise.resolve(false);
+	var params = {user_id: user.id};
+	var last_step = user.totp_last_step ? parseInt(user.totp_last_step) : null;
+	var step = totp.verify(user.totp_secret, code, last_step);
+	if(step !== null) {
+		// only ever move forward, so if two requests race with the same code,
+		// just one of them wins
+		params.step = step;
+		var qry = [
+			'UPDATE users',
+			'SET totp_last_step = {{step}}',
+			'WHERE',
+			'	id = {{user_id}} AND',
+			'	(totp_last_step IS NULL OR totp_last_step < {{step}})',
+		].join('\n');
+		return db.query(qry, params)
+			.then(function(res) { return res.rowCount > 0; });
+	}
+	// recovery codes stick around a long time, so they may have been hashed
+	// with an older salt
+	var recovery = user.totp_recovery || [];
+	params.hash = salt.all()
+		.map(function(app_salt) { return hash_recovery_code(code, app_salt); })
+		.filter(function(hash) { return recovery.indexOf(hash) >= 0; })[0];
+	if(!params.hash) return Promise.resolve(false);
+	var qry = [
+		'UPDATE users',
+		'SET totp_recovery = totp_recovery - {{hash}}::text',
+		'WHERE',
+		'	id = {{user_id}} AND',
+		'	totp_recovery ? {{hash}}::text',
+	].join('\n');
+	return db.query(qry, params)
+		.then(function(res) { return res.rowCount > 0; });
+};
+
+/**
+ * check a code for an already-logged-in user who wants to change their
+ * two-factor setup. wrong codes count as failed logins (from `ip`), same as
+ * they do in user_model.check_auth().
+ */
+var check_code_for_change = function(user, code, ip) {
+	if(!exports.is_enabled(user)) {
+		return Promise.reject(error.bad_request('two-factor auth isn\'t on for your account'));
+	}
+	ip || (ip = 'unknown');
+	return login_throttle.check(user.id, ip)
+		.then(function() {
+			return exports.check_code(user, code);
+		})
+		.then(function(ok) {
+			if(!ok) {
+				login_throttle.record_failure(user, ip);
+				throw error.forbidden('bad one-time code', {code: 'totp_invalid'});
+			}
+			return login_throttle.record_success(user.id, ip);
+		});
+};
+
+/**
+ * start enrolling a user in two-factor auth. resolves to {secret, uri}, where
+ * `secret` is the (base32) secret for their authenticator app and `uri` is the
+ * same thing as an otpauth:// uri (for QR codes). two-factor isn't on until
+ * they confirm().
+ */
+exports.start = function(user_id) {
+	var secret = totp.generate_secret();
+	return get_user(user_id)
+		.then(function(user) {
+			if(exports.is_enabled(user)) throw error.conflict('two-factor auth is already on for your account');
+			var qry = [
+				'UPDATE users',
+				'SET totp_secret = {{secret}}, totp_last_step = NULL, totp_recovery = NULL',
+				'WHERE id = {{user_id}}',
+			].join('\n');
+			return db.query(qry, {secret: secret, user_id: user_id})
+				.then(function() {
+					return {
+						secret: totp.base32(secret),
+						uri: totp.make_uri(secret, user.username, ISSUER),
+					};
+				});
+		});
+};
+
+/**
+ * finish enrolling: if `code` checks out against the secret from start(),
+ * two-factor is on. resolves to {recovery_codes}. this is the only time we
+ * ever hand these out, so the user had better write them down.
+ *
+ * any sessions started without a code are logged out, other than
+ * `keep_session_id` (the one doing the confirming, if any), so whoever may
+ * have had the password before doesn't get to keep using it.
+ */
+exports.confirm = function(user_id, code, keep_session_id) {
+	return get_user(user_id)
+		.then(function(user) {
+			if(exports.is_enabled(user)) throw error.conflict('two-factor auth is already on for your account');
+			if(!user.totp_secret) throw error.bad_request('start setting up two-factor auth first');
+			var step = totp.verify(user.totp_secret, code);
+			if(step === null) throw error.forbidden('bad one-time code', {code: 'totp_invalid'});
+			var recovery = make_recovery_codes();
+			var qry = [
+				'UPDATE users',
+				'SET totp_enabled = true, totp_last_step = {{step}}, totp_recovery = {{recovery}}',
+				'WHERE id = {{user_id}}',
+			].join('\n');
+			return db.transaction(function(tx) {
+				return tx.query(qry, {step: step, recovery: db.json(recovery[1]), user_id: user_id})
+					.then(function() {
+						var qry = 'DELETE FROM sessions WHERE user_id = {{user_id}} AND id IS DISTINCT FROM {{keep}}';
+						return tx.query(qry, {user_id: user_id, keep: keep_session_id || null});
+					});
+			})
+				.then(function() {
+					return {recovery_codes: recovery[0]};
+				});
+		});
+};
+
+/**
+ * turn off two-factor auth. needs a good code (or recovery code). `ip` is where
+ * the request came from, for login throttling.
+ */
+exports.disable = function(user_id, code, ip) {
+	return get_user(user_id)
+		.then(function(user) {
+			return check_code_for_change(user, code, ip);
+		})
+		.then(function() {
+			var qry = [
+				'UPDATE users',
+				'SET',
+				'	totp_enabled = false,',
+				'	totp_secret = NULL,',
+				'	totp_last_step = NULL,',
+				'	totp_recovery = NULL',
+				'WHERE id = {{user_id}}',
+			].join('\n');
+			return db.query(qry, {user_id: user_id});
+		})
+		.then(function() { return true; });
+};
+
+/**
+ * throw out a user's recovery codes and make new ones. needs a good code (or
+ * recovery code). resolves to {recovery_codes}. `ip` is the same as in
+ * disable().
+ */
+exports.regenerate_recovery_codes = function(user_id, code, ip) {
+	var recovery = make_recovery_codes();
+	return get_user(user_id)
+		.then(function(user) {
+			return check_code_for_change(user, code, ip);
+		})
+		.then(function() {
+			var qry = 'UPDATE users SET totp_recovery = {{recovery}} WHERE id = {{user_id}}';
+			return db.query(qry, {recovery: db.json(recovery[1]), user_id: user_id});
+		})
+		.then(function() {
+			return {recovery_codes: recovery[0]};
+		});
+};
@@ -8,6 +8,7 @@ var Promise = require('bluebird');
 var error = require('../helpers/error');
 var vlad = require('../helpers/validator');
 var crypto = require('crypto');
+var salt = require('../helpers/salt');
 var sync_model = require('./sync');
 var space_model = require('./space');
 var board_model = require('./board');
@@ -17,6 +18,9 @@ var keychain_model = require('./keychain');
 var analytics = require('./analytics');
 var email_model = require('./email');
 var profile_model = require('./profile');
+var trash_model = require('./trash');
+var two_factor_model = require('./two_factor');
+var login_throttle = require('./login_throttle');
 
 vlad.define('user', {
 	username: {type: vlad.type.email},
@@ -26,29 +30,30 @@ vlad.define('user', {
 });
 
 /**
- * do a pbkdf2 on our private data using the app's SECRET hash
+ * do a pbkdf2 on our private data using the app's SECRET hash (the current one,
+ * unless options.salt says otherwise)
  */
 var secure_hash = function(privatedata, options) {
 	options || (options = {});
 	var iter = options.iter || 100000;
 	var output = options.output || 'hex';
+	var app_salt = options.salt || salt.current();
 
-	var res = crypto.pbkdf2Sync(privatedata, config.app.secure_hash_salt, iter, 128, 'sha256');
+	var res = crypto.pbkdf2Sync(privatedata, app_salt, iter, 128, 'sha256');
 	return res.toString(output);
 };
 exports.secure_hash = secure_hash;
 
 /**
- * who needs constant-time comparisons when you can just double-hmac?
- *
- * find out why this one weird app has password crackers FURIOUS!!!
+ * compare two secrets (tokens, hashes) in constant time. the lengths can leak,
+ * but everything we compare here is a fixed length anyway.
  */
 var secure_compare = function(secret1, secret2) {
-	var now = new Date().getTime();
-	var key = now+'|'+config.app.secure_hash_salt;
-	var hmac1 = crypto.createHmac('sha256', key).update(secret1).digest('base64');
-	var hmac2 = crypto.createHmac('sha256', key).update(secret2).digest('base64');
-	return hmac1 == hmac2;
+	if(typeof(secret1) != 'string' || typeof(secret2) != 'string') return false;
+	var buf1 = Buffer.from(secret1, 'utf8');
+	var buf2 = Buffer.from(secret2, 'utf8');
+	if(buf1.length != buf2.length) return false;
+	return crypto.timingSafeEqual(buf1, buf2);
 };
 exports.secure_compare = secure_compare;
 
@@ -73,45 +78,292 @@ exports.random_token = random_token;
  */
 var clean_user = function(user) {
 	delete user.auth;
+	delete user.auth_version;
+	delete user.auth_salt;
+	delete user.totp_secret;
+	delete user.totp_last_step;
+	delete user.totp_recovery;
+	delete user.unlock_token;
+	delete user.unlock_sent;
 	return user;
 };
+exports.clean_user = clean_user;
 
-var auth_hash = function(authkey) {
+/**
+ * how users.auth was made (users.auth_version):
+ *
+ *   1: pbkdf2 (two iterations) with the app's secure_hash_salt. see
+ *      legacy_auth_hash()
+ *   2: scrypt with a per-user salt, stored as `<cost>$<salt>$<hash>` (or just
+ *      `<salt>$<hash>` for hashes made before the cost was configurable, which
+ *      used DEFAULT_SCRYPT_COST). see auth_hash()
+ *
+ * users.auth_salt is the fingerprint of the secure_hash_salt the auth was made
+ * with (see helpers/salt). old versions, old salts, and old scrypt costs still
+ * work for logging in, and get upgraded to the current ones when they do.
+ *
+ * scrypt is meant to be slow: each hash takes 128 * cost * r bytes of memory
+ * (16MB at the default cost) and the cpu time to go with it. clients that use
+ * Basic auth instead of a session send their auth with every request, so we
+ * remember good ones for a little while (see AUTH_CACHE) instead of paying
+ * that every time.
+ */
+const AUTH_VERSION = 2;
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+// used if config.app.auth doesn't say otherwise
+const DEFAULT_SCRYPT_COST = 16384;
+const DEFAULT_AUTH_CACHE_SECONDS = 300;
+// what we hash against when someone logs in as a user that doesn't exist
+const DUMMY_SCRYPT_SALT = '00000000000000000000000000000000';
+// don't let the auth cache grow without bound
+const MAX_AUTH_CACHE_ENTRIES = 10000;
+
+var scrypt = Promise.promisify(crypto.scrypt);
+
+var get_auth_config = function() {
+	return config.app.auth || {};
+};
+
+/**
+ * grab the scrypt cost (N) new hashes should use. it has to be a power of two.
+ */
+var get_scrypt_cost = function() {
+	var cost = parseInt(get_auth_config().scrypt_cost);
+	if(isNaN(cost) || cost < 2 || (cost & (cost - 1)) != 0) return DEFAULT_SCRYPT_COST;
+	return cost;
+};
+
+/**
+ * successful Basic auth checks, by user id: {check, result, expires}. `check`
+ * is an hmac (with a key that only lives in this process) of the auth key
+ * given and the user's stored auth, so changing the auth misses the cache
+ * and we never hold onto the auth key itself.
+ */
+var AUTH_CACHE = new Map();
+var auth_cache_key = crypto.randomBytes(32);
+
+var auth_cache_check = function(user, authkey) {
+	return crypto.createHmac('sha256', auth_cache_key)
+		.update(user.auth+'\n'+authkey)
+		.digest('hex');
+};
+
+var legacy_auth_hash = function(authkey, app_salt) {
 	// two iterations. yes, two. if someone gets the database, they
 	// won't be able to crack the real auth key out of it since it's
 	// just a binary blob anyway, meaning this step only exists to keep
 	// them from being able to impersonate the user (not to hide the
 	// secret it holds, since there IS no secret...even if they cracked
 	// the auth data, they'd have to have the user's key to decrypt it).
-	return secure_hash(authkey, {output: 'base64', iter: 2});
+	return secure_hash(authkey, {output: 'base64', iter: 2, salt: app_salt});
+};
+
+var scrypt_auth = function(authkey, user_salt, app_salt, cost) {
+	// the app's salt still goes in (as a pepper), so the db alone isn't enough
+	// to start guessing
+	var peppered = crypto.createHmac('sha256', app_salt)
+		.update(authkey)
+		.digest();
+	var options = {
+		N: cost,
+		r: SCRYPT_R,
+		p: SCRYPT_P,
+		// node's default limit (32MB) is too low for costs past 16384
+		maxmem: 256 * cost * SCRYPT_R,
+	};
+	return scrypt(peppered, user_salt, SCRYPT_KEYLEN, options)
+		.then(function(hash) { return hash.toString('base64'); });
+};
+
+/**
+ * split a version 2 users.auth into {cost, salt, hash}, or null if it's
+ * garbled
+ */
+var parse_scrypt_auth = function(auth) {
+	var parts = (auth || '').split('$');
+	if(parts.length == 2) parts.unshift(DEFAULT_SCRYPT_COST);
+	if(parts.length != 3) return null;
+	var cost = parseInt(parts[0]);
+	if(isNaN(cost)) return null;
+	return {cost: cost, salt: parts[1], hash: parts[2]};
 };
 
-exports.check_auth = function(authinfo) {
+/**
+ * hash a user's auth key for storage. resolves to {auth, auth_version,
+ * auth_salt}, which map right onto the users table.
+ */
+var auth_hash = function(authkey) {
+	var user_salt = crypto.randomBytes(16).toString('hex');
+	var app_salt = salt.current();
+	var cost = get_scrypt_cost();
+	return scrypt_auth(authkey, user_salt, app_salt, cost)
+		.then(function(hash) {
+			return {
+				auth: cost+'$'+user_salt+'$'+hash,
+				auth_version: AUTH_VERSION,
+				auth_salt: salt.fingerprint(app_salt),
+			};
+		});
+};
+
+/**
+ * check an auth key against a (raw) user's stored auth, whatever version it
+ * is. resolves to the app salt it matched with, or null if it didn't.
+ *
+ * each try is a full hash, so if users.auth_salt says which salt the auth was
+ * made with, that's the only one we try. the others only get a shot when it's
+ * missing (users from before it was recorded) or names a salt we don't have.
+ */
+var verify_auth = function(user, authkey) {
+	if(!authkey) return Promise.resolve(null);
+	var check = function(app_salt) {
+		if(parseInt(user.auth_version) != AUTH_VERSION) {
+			return secure_compare(user.auth, legacy_auth_hash(authkey, app_salt));
+		}
+		var parsed = parse_scrypt_auth(user.auth);
+		if(!parsed) return false;
+		return scrypt_auth(authkey, parsed.salt, app_salt, parsed.cost)
+			.then(function(hash) {
+				return secure_compare(hash, parsed.hash);
+			});
+	};
+	var next = function(salts) {
+		if(salts.length == 0) return Promise.resolve(null);
+		return Promise.resolve(check(salts[0]))
+			.then(function(ok) {
+				return ok ? salts[0] : next(salts.slice(1));
+			});
+	};
+	return next(salt.for_fingerprint(user.auth_salt));
+};
+
+/**
+ * verify_auth(), but if the same auth key checked out for this user recently
+ * (config.app.auth.cache_seconds), skip the scrypt and say so again
+ */
+var verify_auth_cached = function(user, authkey) {
+	var cache_seconds = parseInt(get_auth_config().cache_seconds);
+	if(isNaN(cache_seconds)) cache_seconds = DEFAULT_AUTH_CACHE_SECONDS;
+	if(cache_seconds <= 0 || !authkey) return verify_auth(user, authkey);
+	var now = new Date().getTime();
+	var check = auth_cache_check(user, authkey);
+	var cached = AUTH_CACHE.get(user.id);
+	if(cached && cached.expires > now && secure_compare(cached.check, check)) {
+		return Promise.resolve(cached.result);
+	}
+	return verify_auth(user, authkey)
+		.then(function(result) {
+			if(!result) return result;
+			// re-add so the Map's order stays oldest-first
+			AUTH_CACHE.delete(user.id);
+			AUTH_CACHE.set(user.id, {check: check, result: result, expires: now + (cache_seconds * 1000)});
+			if(AUTH_CACHE.size > MAX_AUTH_CACHE_ENTRIES) {
+				AUTH_CACHE.delete(AUTH_CACHE.keys().next().value);
+			}
+			return result;
+		});
+};
+
+/**
+ * if a (raw) user's auth is stored in an old format, with an old salt, or with
+ * an old scrypt cost, rehash it with the auth key they just logged in with.
+ * `app_salt` is the salt their auth matched (see verify_auth()). we go by that
+ * rather than users.auth_salt, which might not be recorded.
+ */
+var upgrade_auth = function(user, authkey, app_salt) {
+	var current_salt = salt.current();
+	var parsed = parseInt(user.auth_version) == AUTH_VERSION && parse_scrypt_auth(user.auth);
+	var current = parsed &&
+		parsed.cost == get_scrypt_cost() &&
+		app_salt == current_salt &&
+		user.auth_salt == salt.fingerprint(current_salt);
+	if(current) return Promise.resolve();
+	return auth_hash(authkey)
+		.then(function(hashed) {
+			// if their auth changed since we looked it up, leave it be
+			var qry = [
+				'UPDATE users',
+				'SET auth = {{auth}}, auth_version = {{auth_version}}, auth_salt = {{auth_salt}}',
+				'WHERE id = {{user_id}} AND auth = {{old_auth}}',
+			].join('\n');
+			return db.query(qry, {
+				auth: hashed.auth,
+				auth_version: hashed.auth_version,
+				auth_salt: hashed.auth_salt,
+				user_id: user.id,
+				old_auth: user.auth,
+			});
+		})
+		.catch(function(err) {
+			log.error('user.upgrade_auth() -- ', err);
+		});
+};
+
+/**
+ * check a user's Basic auth. options can have:
+ *
+ *   - otp: a one-time code (or recovery code), required if the user has
+ *     two-factor auth on
+ *   - login: true if this is an actual login (POST /auth). since each one-time
+ *     code only works once, users with two-factor auth on can only use Basic
+ *     auth to log in (and grab a session), not for anything else
+ *   - ip: where the login is coming from. failed logins are counted (and
+ *     locked out) per account+ip and per ip, see models/login_throttle
+ */
+exports.check_auth = function(authinfo, options) {
+	options || (options = {});
 	if(!authinfo) return Promise.reject(error.forbidden('bad login: (bad auth)'));
 	var base64_auth = authinfo.replace(/^Basic */, '');
 	var parsed = new Buffer(base64_auth, 'base64').toString('utf8');
 	var auth_parts = parsed.split(':');
 	var username = auth_parts[0];
 	var auth = auth_parts[1];
+	var ip = options.ip || 'unknown';
 
 	return db.first('SELECT * FROM users WHERE username = {{username}}', {username: username})
 		.then(function(user) {
-			if(!user) throw error.forbidden('bad login: '+username);
-			if(!user.active) throw error.forbidden('user inactive');
-			if(config.app.login.max_attemps > 0 && user.login_failed_count >= config.app.login.max_attemps) {
-				var currentDate = new Date();
-				if(currentDate.getTime() - user.login_failed_last.getTime() <= config.app.login.lock_duration*1000) {
-					throw error.forbidden('user locked');
-				}
-			}
-			if(!secure_compare(user.auth, auth_hash(auth))) {
-				exports.update_login_failed(user.id);
-				throw error.forbidden('bad login');
-			} else {
-				exports.reset_login_failed(user.id);
+			return login_throttle.check(user && user.id, ip)
+				.then(function() { return user; });
+		})
+		.then(function(user) {
+			if(!user) {
+				login_throttle.record_failure(null, ip);
+				// take as long as checking a real user would, so response
+				// times don't give away which accounts exist
+				return scrypt_auth(auth || '', DUMMY_SCRYPT_SALT, salt.current(), get_scrypt_cost())
+					.then(function() {
+						throw error.forbidden('bad login');
+					});
 			}
-
-			return clean_user(user);
+			if(!user.active) throw error.forbidden('user inactive');
+			var app_salt = null;
+			return verify_auth_cached(user, auth)
+				.then(function(matched_salt) {
+					app_salt = matched_salt;
+					if(!app_salt) {
+						login_throttle.record_failure(user, ip);
+						throw error.forbidden('bad login');
+					}
+					if(!two_factor_model.is_enabled(user)) return;
+					if(!options.login) {
+						throw error.forbidden('accounts with two-factor auth need to use a session (see POST /auth?session=1)', {code: 'totp_session_required'});
+					}
+					if(!options.otp) throw error.forbidden('one-time code required', {code: 'totp_required'});
+					return two_factor_model.check_code(user, options.otp)
+						.then(function(ok) {
+							if(!ok) {
+								login_throttle.record_failure(user, ip);
+								throw error.forbidden('bad one-time code', {code: 'totp_invalid'});
+							}
+						});
+				})
+				.then(function() {
+					login_throttle.record_success(user.id, ip);
+					upgrade_auth(user, auth, app_salt);
+					return clean_user(user);
+				});
 		});
 };
 
@@ -135,10 +387,14 @@ exports.join = function(userdata) {
 	return exports.get_by_email(userdata.username, {raw: true})
 		.then(function(existing) {
 			if(existing) throw error.forbidden('the account "'+userdata.username+'" already exists');
-			var auth = auth_hash(userdata.auth);
+			return auth_hash(userdata.auth);
+		})
+		.then(function(hashed) {
 			return db.insert('users', {
 				username: userdata.username,
-				auth: auth,
+				auth: hashed.auth,
+				auth_version: hashed.auth_version,
+				auth_salt: hashed.auth_salt,
 				active: true,
 				confirmed: false,
 				confirmation_token: token,
@@ -223,10 +479,16 @@ exports.delete = function(cur_user_id, user_id) {
 				return space_model.delete_space(user_id, space.id);
 			}));
 		})
+		.then(function() {
+			// nobody's going to restore these, so don't keep them around
+			return trash_model.purge_spaces_deleted_by(user_id);
+		})
 		.then(function() {
 			var params = {user_id: user_id};
 			return Promise.all([
 				db.query('DELETE FROM keychain WHERE user_id = {{user_id}}', params),
+				db.query('DELETE FROM devices WHERE user_id = {{user_id}}', params),
+				db.query('DELETE FROM sessions WHERE user_id = {{user_id}}', params),
 				db.query('DELETE FROM users WHERE id = {{user_id}}', params),
 			]);
 		})
@@ -257,9 +519,8 @@ exports.update = function(cur_user_id, user_id, data) {
 	// make sure username is lowercase
 	data.user.username = data.user.username.toLowerCase();
 
-	// this is going to get a bit "manual" but we need to manage our connection
-	// by hand so we can "transact."
-	var client = null;
+	// the user, their keychain, their sessions, and the sync records for all
+	// of it go in one transaction
 	var user = null;
 	var username_changed = false;
 	var existing_keychain_idx = null;
@@ -297,102 +558,101 @@ exports.update = function(cur_user_id, user_id, data) {
 				// noone really finds the way back home.
 				throw error.conflict('the given keychain doesn\'t match what is in your profile. try clearing local data and try again/');
 			});
-			return db.client();
-		})
-		// start our transaction
-		.then(function(_client) {
-			client = _client;
-			return client.query('BEGIN');
-		})
-		// update the user. spill the wine.
-		.then(function() {
-			var auth = auth_hash(data.auth);
-			var qry = ['UPDATE users'];
-			var sets = [
-				'auth = {{auth}}',
-				'data = {{data}}',
-			];
-			var userdata = user.data;
-			userdata.body = data.user.body;
-			var vals = {
-				auth: auth,
-				data: db.json(userdata),
-				user_id: user_id,
-			};
-			if(username_changed) {
-				var confirmation_token = random_token({hash: 'sha512'});
-				sets.push('username = {{username}}');
-				sets.push('confirmed = false');
-				sets.push('confirmation_token = {{token}}');
-				vals.username = data.user.username;
-				vals.token = confirmation_token;
-			}
-			qry.push('SET '+sets.join(', '));
-			qry.push('WHERE id = {{user_id}}');
-			return client.query(qry.join('\n'), vals);
+			return auth_hash(data.auth);
 		})
-		// now update the keychain. take that girl.
-		.then(function() {
-			// loop over each entry, save them one by one. really we just need
-			// to update the data.body with the new keydata, so our update is
-			// simple.
-			return Promise.each(data.keychain, function(key) {
-				var keydata = existing_keychain_idx[key.id];
-				keydata.body = key.body;
-				var qry = [
-					'UPDATE keychain',
-					'SET data = {{data}}',
-					'WHERE id = {{id}}',
+		.then(function(hashed) {
+			return db.transaction(function(tx) {
+				// update the user. spill the wine.
+				var qry = ['UPDATE users'];
+				var sets = [
+					'auth = {{auth}}',
+					'auth_version = {{auth_version}}',
+					'auth_salt = {{auth_salt}}',
+					'data = {{data}}',
 				];
+				var userdata = user.data;
+				userdata.body = data.user.body;
 				var vals = {
-					data: db.json(keydata),
-					id: key.id,
+					auth: hashed.auth,
+					auth_version: hashed.auth_version,
+					auth_salt: hashed.auth_salt,
+					data: db.json(userdata),
+					user_id: user_id,
 				};
-				return client.query(qry.join('\n'), vals);
-			});
-		})
-		// spillthewinespillthewinespillthewine
-		.then(function() {
-			return client.query('COMMIT');
-		})
-		.then(function() {
-			return space_model.get_members_from_users_spaces(user_id);
-		})
-		// make sync records for our sensitive shit
-		.then(function(users_spaces_members) {
-			var promises = [
-				sync_model.add_record([user_id], user_id, 'user', user_id, 'change-password'),
-			];
-			data.keychain.forEach(function(key) {
-				promises.push(sync_model.add_record([user_id], user_id, 'keychain', key.id, 'edit'));
-			});
-			var space_idx = {};
-			users_spaces_members.forEach(function(member_rec) {
-				var space_id = member_rec.space_id;
-				if(!space_idx[space_id]) space_idx[space_id] = [];
-				space_idx[space_id].push(member_rec.user_id);
-			});
-			Object.keys(space_idx).forEach(function(space_id) {
-				promises.push(sync_model.add_record(space_idx[space_id], user_id, 'space', space_id, 'edit'));
+				if(username_changed) {
+					var confirmation_token = random_token({hash: 'sha512'});
+					sets.push('username = {{username}}');
+					sets.push('confirmed = false');
+					sets.push('confirmation_token = {{token}}');
+					vals.username = data.user.username;
+					vals.token = confirmation_token;
+				}
+				qry.push('SET '+sets.join(', '));
+				qry.push('WHERE id = {{user_id}}');
+				return tx.query(qry.join('\n'), vals)
+					// now update the keychain. take that girl.
+					.then(function() {
+						// loop over each entry, save them one by one. really we just need
+						// to update the data.body with the new keydata, so our update is
+						// simple.
+						return Promise.each(data.keychain, function(key) {
+							var keydata = existing_keychain_idx[key.id];
+							keydata.body = key.body;
+							var qry = [
+								'UPDATE keychain',
+								'SET data = {{data}}',
+								'WHERE id = {{id}}',
+							];
+							var vals = {
+								data: db.json(keydata),
+								id: key.id,
+							};
+							return tx.query(qry.join('\n'), vals);
+						});
+					})
+					// the old login is no good anymore, and neither are any sessions
+					// started with it
+					.then(function() {
+						return tx.query('DELETE FROM sessions WHERE user_id = {{user_id}}', {user_id: user_id});
+					})
+					.then(function() {
+						return space_model.get_members_from_users_spaces(user_id, tx);
+					})
+					// make sync records for our sensitive shit
+					.then(function(users_spaces_members) {
+						var promises = [
+							sync_model.add_record([user_id], user_id, 'user', user_id, 'change-password', tx),
+						];
+						data.keychain.forEach(function(key) {
+							promises.push(sync_model.add_record([user_id], user_id, 'keychain', key.id, 'edit', tx));
+						});
+						var space_idx = {};
+						users_spaces_members.forEach(function(member_rec) {
+							var space_id = member_rec.space_id;
+							if(!space_idx[space_id]) space_idx[space_id] = [];
+							space_idx[space_id].push(member_rec.user_id);
+						});
+						Object.keys(space_idx).forEach(function(space_id) {
+							promises.push(sync_model.add_record(space_idx[space_id], user_id, 'space', space_id, 'edit', tx));
+						});
+						return Promise.all(promises)
+							.then(function(ids_arr) {
+								return {sync_ids: ids_arr.map(function(s) { return s[0]; })};
+							});
+					});
 			});
-			return Promise.all(promises)
-				.then(function(ids_arr) {
-					return {sync_ids: ids_arr.map(function(s) { return s[0]; })};
-				});
 		})
 		.tap(function() {
 			if(!username_changed) return;
 			// i don't want to be your buddy, rick. i just...want a little confirmation?
 			return exports.resend_confirmation(user_id);
-		})
-		.finally(function() {
-			client && client.close();
 		});
 };
 
 exports.get_by_ids = function(user_ids, options) {
 	options || (options = {});
-	return db.by_ids('users', user_ids)
+	var tx = options.tx || db;
+	return tx.by_ids('users', user_ids)
 		.each(clean_user)
 		.map(function(user) {
 			if(options.profile_size) {
@@ -444,16 +704,9 @@ exports.update_last_login = function(user_id) {
 	return db.query('UPDATE users SET last_login = NOW() WHERE id = {{user_id}}', {user_id: user_id});
 };
 
-exports.update_login_failed = function(user_id) {
-	return db.query('UPDATE users SET login_failed_last = NOW(), login_failed_count = login_failed_count + 1 WHERE id = {{user_id}}', {user_id: user_id});
-};
-
-exports.reset_login_failed = function(user_id) {
-	return db.query('UPDATE users SET login_failed_last = NULL, login_failed_count = 0 WHERE id = {{user_id}}', {user_id: user_id});
-};
-
-exports.get_by_emails = function(emails) {
-	return db.by_ids('users', emails, {id_field: 'username'})
+exports.get_by_emails = function(emails, tx) {
+	tx || (tx = db);
+	return tx.by_ids('users', emails, {id_field: 'username'})
 };
 
 exports.delete_by_email = function(email, token) {
@@ -497,12 +750,13 @@ exports.start_delete_by_email = function(email) {
 		});
 };
 
-var edit = function(user_id, data) {
+var edit = function(user_id, data, tx) {
+	tx || (tx = db);
 	if(user_id != data.id) return Promise.reject(error.forbidden('you cannot edit someone else\'s user record. shame shame.'));
 	data = vlad.validate('user', data);
-	return db.update('users', user_id, {data: data})
+	return tx.update('users', user_id, {data: data})
 		.tap(function(user) {
-			return sync_model.add_record([], user_id, 'user', user_id, 'edit')
+			return sync_model.add_record([], user_id, 'user', user_id, 'edit', tx)
 				.then(function(sync_ids) {
 					user.sync_ids = sync_ids;
 				});
@@ -12,9 +12,16 @@ const config = require('./helpers/config');
 const error = require('./helpers/error');
 const fs = require('fs');
 const plugins = require('./helpers/plugins');
+const db = require('./helpers/db');
+const vlad = require('./helpers/validator');
+const sync_model = require('./models/sync');
+const space_model = require('./models/space');
 
 var app = express();
 app.disable('etag');
+// if we're behind a reverse proxy, req.ip (which login throttling goes by)
+// needs to come from X-Forwarded-For. see server.trust_proxy in the config.
+app.set('trust proxy', config.server.trust_proxy || false);
 app.use(method_override('_method'));
 app.use(cors);
 app.use(body_parser.json({strict: false, limit: '24mb'}));
@@ -30,7 +37,7 @@ app.get('/', function(req, res) {
 });
 
 // load controllers
-['users', 'sync', 'spaces', 'files', 'feedback', 'errlog', 'cla', 'bookmarking', 'health']
+['users', 'sync', 'spaces', 'files', 'revisions', 'trash', 'devices', 'feedback', 'errlog', 'cla', 'bookmarking', 'health']
 	.forEach(function(con) {
 		// only load bookmarking controller if we REALLY specify we want it
 		if(con == 'bookmarking' && config.app.enable_bookmarker_proxy != 'I UNDERSTAND THIS VIOLATES THE PRIVACY OF MY USERS') {
@@ -60,9 +67,20 @@ plugin_list.forEach(function(plugin) {
 		app: app,
 		auth: turtl_auth,
 		plugins: plugins,
+		// for plugins that add their own sync types: register them with
+		// `sync.register()`, and use `space.simple_add()` and friends to get
+		// space permissions and sync records for free.
+		db: db,
+		error: error,
+		validator: vlad,
+		sync: sync_model,
+		space: space_model,
 	});
 });
 
+// wake up long polls/streams when other server processes create sync records
+sync_model.listen();
+
 if (config.server.host) {
 	app.listen(config.server.port, config.server.host);
 	log.info('Listening for turtls on IP '+config.server.host+', port '+config.server.port+'...');
@@ -0,0 +1,22 @@
+/**
+ * Here we have a cli utility for compacting the sync log. Run it periodically
+ * (cron is your friend) to keep the sync tables from growing forever.
+ */
+
+const sync_model = require('../models/sync');
+
+function main() {
+	return sync_model.compact()
+		.then(function(stats) {
+			console.log('Superseded sync records removed: '+stats.superseded);
+			console.log('Expired sync records removed: '+stats.expired);
+			console.log('Expired idempotency keys removed: '+stats.idempotency_keys);
+			console.log('Users with a new sync horizon: '+stats.horizons);
+		})
+		.catch(function(err) {
+			console.log('Error compacting: ', err, err.stack);
+		})
+		.finally(process.exit);
+}
+
+main();
@@ -10,13 +10,14 @@ const db = require('../helpers/db');
 const config = require('../helpers/config');
 const Promise = require('bluebird');
 
-const schema_version = 3;
+const schema_version = 8;
 
 const run_upgrade = function(from_version, to_version) {
 	var cur_version = from_version;
-	var promises = [];
+	var queries = [];
+	// upgrade queries run one after the other, in the order given
 	const run = function(qry, params) {
-		promises.push(db.query(qry, params));
+		queries.push([qry, params]);
 	};
 
 	if(cur_version == 1) {
@@ -29,7 +30,60 @@ const run_upgrade = function(from_version, to_version) {
 		cur_version++;
 	}
 
-	return Promise.all(promises);
+	if(cur_version == 3) {
+		// sync records move from global ids to per-user sequences. existing
+		// records keep their ids as their seq, and everyone's sequence starts
+		// after the highest existing id, so clients' current sync_ids stay
+		// valid. anything before the oldest record we still have is gone, so
+		// that's where the horizon starts.
+		run("ALTER TABLE sync_users ADD COLUMN IF NOT EXISTS seq bigint");
+		run("UPDATE sync_users SET seq = sync_id WHERE seq IS NULL");
+		run([
+			"INSERT INTO sync_seq (user_id, seq, horizon)",
+			"SELECT",
+			"	id,",
+			"	(SELECT COALESCE(MAX(id), 0) FROM sync),",
+			"	(SELECT GREATEST(COALESCE(MIN(id), 1) - 1, 0) FROM sync)",
+			"FROM users",
+			"ON CONFLICT (user_id) DO NOTHING",
+		].join('\n'));
+		cur_version++;
+	}
+
+	if(cur_version == 4) {
+		// two-factor auth
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret text");
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled boolean DEFAULT false");
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step bigint");
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery jsonb");
+		cur_version++;
+	}
+
+	if(cur_version == 5) {
+		// existing auth hashes are all the old pbkdf2 kind (version 1), and get
+		// upgraded as users log in
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_version smallint DEFAULT 1");
+		cur_version++;
+	}
+
+	if(cur_version == 6) {
+		// track which secure_hash_salt each user's auth was made with. we
+		// can't know that for existing users, so theirs stays NULL (every salt
+		// gets tried) until they next log in
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_salt varchar(16)");
+		cur_version++;
+	}
+
+	if(cur_version == 7) {
+		// account unlock emails (see models/login_throttle)
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_token text");
+		run("ALTER TABLE users ADD COLUMN IF NOT EXISTS unlock_sent timestamp with time zone");
+		cur_version++;
+	}
+
+	return Promise.each(queries, function(query) {
+		return db.query(query[0], query[1]);
+	});
 };
 
 var schema = [];
@@ -37,6 +91,7 @@ var indexes = [];
 const builder = {
 	type: {
 		pk_int: 'bigserial primary key',
+		pk_id_int: 'bigint primary key',
 		pk: 'varchar(96) primary key',
 		id_int: 'bigint',
 		id: 'varchar(96)',
@@ -119,6 +174,34 @@ builder.table('cla', {
 	},
 });
 
+builder.table('comments', {
+	fields: {
+		id: ty.pk,
+		space_id: builder.not_null(ty.id),
+		note_id: builder.not_null(ty.id),
+		data: ty.json,
+	},
+	indexes: [
+		{name: 'space_id', fields: ['space_id']},
+		{name: 'note_id', fields: ['note_id']},
+	],
+});
+
+builder.table('devices', {
+	fields: {
+		id: ty.pk,
+		user_id: builder.not_null(ty.id_int),
+		device_id: builder.not_null(ty.varchar(64)),
+		client: ty.text,
+		ip: ty.text,
+		sync_id: ty.id_int,
+		last_seen: ty.date,
+	},
+	indexes: [
+		{name: 'user_id', fields: ['user_id']},
+	],
+});
+
 builder.table('errorlog', {
 	fields: {
 		id: ty.pk,
@@ -139,6 +222,19 @@ builder.table('keychain', {
 	],
 });
 
+builder.table('login_failures', {
+	fields: {
+		// `account:<user_id>:<ip>` or `ip:<ip>` (see models/login_throttle)
+		id: ty.pk,
+		failures: builder.default(ty.int, 0),
+		last_failed: ty.date,
+		locked_until: ty.date,
+	},
+	indexes: [
+		{name: 'last_failed', fields: ['last_failed']},
+	],
+});
+
 builder.table('notes', {
 	fields: {
 		id: ty.pk,
@@ -151,6 +247,35 @@ builder.table('notes', {
 	],
 });
 
+builder.table('revisions', {
+	fields: {
+		id: ty.pk_int,
+		item_id: builder.not_null(ty.id),
+		type: builder.not_null(ty.varchar(32)),
+		space_id: ty.id,
+		version: ty.int,
+		replaced_by: ty.id_int,
+		data: ty.json,
+	},
+	indexes: [
+		{name: 'item', fields: ['item_id', 'type']},
+	],
+});
+
+builder.table('sessions', {
+	fields: {
+		id: ty.pk,
+		user_id: builder.not_null(ty.id_int),
+		client: ty.text,
+		device_id: ty.varchar(64),
+		ip: ty.text,
+		expires: builder.not_null(ty.date),
+	},
+	indexes: [
+		{name: 'user_id', fields: ['user_id']},
+	],
+});
+
 builder.table('spaces', {
 	fields: {
 		id: ty.pk,
@@ -194,6 +319,29 @@ builder.table('sync', {
 		action: builder.not_null(ty.varchar(32)),
 		user_id: builder.not_null(ty.id_int),
 	},
+	indexes: [
+		{name: 'item', fields: ['item_id', 'type']},
+		{name: 'created', fields: ['created']},
+	],
+});
+
+builder.table('sync_keys', {
+	fields: {
+		id: ty.pk,
+		user_id: builder.not_null(ty.id_int),
+		result: ty.json,
+	},
+	indexes: [
+		{name: 'created', fields: ['created']},
+	],
+});
+
+builder.table('sync_seq', {
+	fields: {
+		user_id: ty.pk_id_int,
+		seq: builder.not_null(builder.default(ty.id_int, 0)),
+		horizon: builder.not_null(builder.default(ty.id_int, 0)),
+	},
 });
 
 builder.table('sync_users', {
@@ -201,9 +349,29 @@ builder.table('sync_users', {
 		id: ty.pk_int,
 		sync_id: builder.not_null(ty.id_int),
 		user_id: builder.not_null(ty.id_int),
+		seq: ty.id_int,
 	},
 	indexes: [
 		{name: 'sync_scan', fields: ['sync_id', 'user_id']},
+		{name: 'user_seq', fields: ['user_id', 'seq']},
+	],
+});
+
+builder.table('trash', {
+	fields: {
+		id: ty.pk_int,
+		item_id: builder.not_null(ty.id),
+		type: builder.not_null(ty.varchar(32)),
+		space_id: ty.id,
+		deleted_by: ty.id_int,
+		deleted_with: ty.id,
+		data: ty.json,
+	},
+	indexes: [
+		{name: 'item', fields: ['item_id', 'type']},
+		{name: 'space_id', fields: ['space_id']},
+		{name: 'deleted_with', fields: ['deleted_with']},
+		{name: 'created', fields: ['created']},
 	],
 });
 
@@ -212,6 +380,8 @@ builder.table('users', {
 		id: ty.pk_int,
 		username: builder.not_null(ty.text),
 		auth: builder.not_null(ty.text),
+		auth_version: builder.default(ty.smallint, 1),
+		auth_salt: ty.varchar(16),
 		active: builder.not_null(ty.bool),
 		confirmed: builder.not_null(ty.bool),
 		confirmation_token: ty.text,
@@ -219,6 +389,12 @@ builder.table('users', {
 		last_login: ty.date,
     login_failed_last: ty.date,
     login_failed_count: builder.default(ty.int, 0),
+		totp_secret: ty.text,
+		totp_enabled: builder.default(ty.bool, 'false'),
+		totp_last_step: ty.id_int,
+		totp_recovery: ty.json,
+		unlock_token: ty.text,
+		unlock_sent: ty.date,
 	},
 	indexes: [
 		{name: 'username', fields: ['username'], unique: true},
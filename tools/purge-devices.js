@@ -0,0 +1,19 @@
+/**
+ * Here we have a cli utility for forgetting devices we haven't heard from in
+ * config.devices.retention_days. Run it periodically, say once a day.
+ */
+
+const device_model = require('../models/device');
+
+function main() {
+	return device_model.purge_stale()
+		.then(function(num_purged) {
+			console.log('Devices purged: '+num_purged);
+		})
+		.catch(function(err) {
+			console.log('Error purging devices: ', err, err.stack);
+		})
+		.finally(process.exit);
+}
+
+main();
@@ -0,0 +1,20 @@
+/**
+ * Here we have a cli utility for removing old failed login counts (see
+ * models/login_throttle.js) that are no longer locking anything. Run it
+ * periodically, say once an hour.
+ */
+
+const login_throttle = require('../models/login_throttle');
+
+function main() {
+	return login_throttle.purge_expired()
+		.then(function(num_purged) {
+			console.log('Login failure records purged: '+num_purged);
+		})
+		.catch(function(err) {
+			console.log('Error purging login failures: ', err, err.stack);
+		})
+		.finally(process.exit);
+}
+
+main();
@@ -0,0 +1,20 @@
+/**
+ * Here we have a cli utility for permanently removing anything that's been in
+ * the trash longer than config.trash.retention_days (along with its files).
+ * Run it periodically, say once a day.
+ */
+
+const trash_model = require('../models/trash');
+
+function main() {
+	return trash_model.purge_expired()
+		.then(function(num_purged) {
+			console.log('Trash entries purged: '+num_purged);
+		})
+		.catch(function(err) {
+			console.log('Error purging trash: ', err, err.stack);
+		})
+		.finally(process.exit);
+}
+
+main();
@@ -0,0 +1,48 @@
+/**
+ * Here we have a cli utility for telling a user's clients (or the clients of
+ * everyone in a space) to wipe their local data and do a full sync. Use it
+ * after fixing up someone's data by hand.
+ */
+
+var Promise = require('bluebird');
+
+var target_type = (process.argv[2] || '').toString();
+var target = (process.argv[3] || '').toString();
+if(['user', 'space'].indexOf(target_type) < 0 || !target) {
+	console.log('');
+	console.log('Usage: '+process.argv[0]+' '+process.argv[1]+' user <user_id|email>');
+	console.log('       '+process.argv[0]+' '+process.argv[1]+' space <space_id>');
+	process.exit(1);
+}
+var user_model = require('../models/user');
+var sync_model = require('../models/sync');
+
+function main() {
+	var promise;
+	if(target_type == 'space') {
+		promise = sync_model.request_space_resync(target);
+	} else {
+		var id_promise = Promise.resolve(target);
+		if(target.match(/@/)) {
+			id_promise = user_model.get_by_email(target, {raw: true})
+				.then(function(user) {
+					if(!user) throw new Error('User '+target+' wasn\'t found.');
+					return user.id;
+				});
+		}
+		promise = id_promise
+			.then(function(user_id) {
+				return sync_model.request_resync([user_id]);
+			});
+	}
+	return promise
+		.then(function(num_users) {
+			console.log('Resync sent to '+num_users+' user(s)');
+		})
+		.catch(function(err) {
+			console.log('Error sending resync: ', err, err.stack);
+		})
+		.finally(process.exit);
+}
+
+main();
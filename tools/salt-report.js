@@ -0,0 +1,42 @@
+/**
+ * Here we have a cli utility for seeing which of our secure_hash_salts users'
+ * auth is hashed with. once nobody's left on an old salt, it can come out of
+ * the config (but keep in mind that two-factor recovery codes made with it
+ * will stop working).
+ */
+
+var db = require('../helpers/db');
+var salt = require('../helpers/salt');
+
+function main() {
+	var names = {};
+	salt.all().forEach(function(app_salt, i) {
+		var fingerprint = salt.fingerprint(app_salt);
+		if(names[fingerprint]) return;
+		names[fingerprint] = i == 0 ? 'current' : 'previous #'+i;
+	});
+	var qry = 'SELECT auth_salt, COUNT(*) AS num FROM users GROUP BY auth_salt ORDER BY num DESC';
+	return db.query(qry)
+		.then(function(rows) {
+			var old = 0;
+			rows.forEach(function(row) {
+				var num = parseInt(row.num);
+				var name = names[row.auth_salt];
+				if(!row.auth_salt) {
+					name = 'not recorded';
+				} else if(!name) {
+					name = 'not in config!';
+				}
+				if(name != 'current') old += num;
+				console.log((row.auth_salt || '-')+'  '+name+': '+num+' user(s)');
+			});
+			console.log('');
+			console.log(old+' user(s) not on the current salt');
+		})
+		.catch(function(err) {
+			console.log('Error running report: ', err, err.stack);
+		})
+		.finally(process.exit);
+}
+
+main();